@@ -0,0 +1,250 @@
+import { WSError } from './wserror.js';
+
+/**
+ * Splits large encoded messages into chunks and puts received chunks back together. Used by both
+ * WSClient and WSServer, one chunker per socket.
+ *
+ * A message longer than `chunkSize` (in characters for text codecs, bytes for binary ones) is sent
+ * as a sequence of `{ chunk, id, seq, count, size, data }` envelopes, encoded with the socket's
+ * codec, where `chunk` identifies the transfer and `id` is the ID of the request the message
+ * belongs to. Transfers take turns, one chunk each per round, and rounds are spread over timer ticks
+ * so smaller messages get through in between. Messages for a request ID that is still being
+ * transferred wait for it, so a stream's end never overtakes its data.
+ *
+ * An aborted transfer sends `{ chunk, abort: true }` so the other side can drop what it received.
+ * Received chunks must arrive in order and add up to the announced `size`; a transfer that breaks
+ * this, or gets no chunk for `transferTimeout` milliseconds, is dropped.
+ *
+ * @class WSChunker
+ */
+export default class WSChunker {
+
+    /**
+     * Creates an instance of WSChunker.
+     * @constructor
+     * @param {Object} options - Chunker options.
+     * @param {Object} options.codec - The codec used to encode chunk envelopes.
+     * @param {function} options.send - Sends an encoded message on the socket.
+     * @param {number} [options.chunkSize=Infinity] - Largest message sent whole.
+     * @param {number} [options.maxSize=Infinity] - Largest message accepted from the other side.
+     * @param {number} [options.maxTransfers=Infinity] - Transfers the other side may have under way at once.
+     * @param {number} [options.transferTimeout=60000] - Milliseconds after which a transfer that got no
+     * new chunk is dropped.
+     * @param {function} [options.onProgress] - Called as `onProgress(id, { loaded, total })` as chunks
+     * of a message for request `id` are received.
+     */
+    constructor({
+        codec, send, chunkSize = Infinity, maxSize = Infinity, maxTransfers = Infinity, transferTimeout = 60000,
+        onProgress,
+    }) {
+        this.codec = codec;
+        this.sendMessage = send;
+        this.chunkSize = chunkSize;
+        this.maxSize = maxSize;
+        this.maxTransfers = maxTransfers;
+        this.transferTimeout = transferTimeout;
+        this.onProgress = onProgress;
+        this.lanes = new Map(); // Messages waiting to be sent, by request ID
+        this.incoming = new Map(); // Transfers being received, by transfer ID
+        this.transfers = 0; // Last transfer ID used
+        this.timer = null;
+    }
+
+    /**
+     * Tells whether a decoded message is a chunk envelope.
+     * @param {any} message - The decoded message.
+     * @returns {boolean} Whether the message is part of a chunked transfer.
+     */
+    static isChunk(message) {
+        return message !== null && typeof message === 'object' && message.chunk !== undefined;
+    }
+
+    /**
+     * Sends an encoded message, in chunks if it is too large.
+     * @param {string|Uint8Array} message - The encoded message.
+     * @param {Object} [options] - Send options.
+     * @param {string} [options.id] - The ID of the request the message belongs to.
+     * @param {function} [options.onProgress] - Called with `{ loaded, total }` as the message goes out.
+     * @returns {Promise<boolean>} Resolves with true once the message is sent, or false if it was aborted.
+     */
+    send(message, { id, onProgress } = {}) {
+        const total = message.length;
+        if (total <= this.chunkSize && (id === undefined || !this.lanes.has(id))) {
+            this.sendMessage(message);
+            if (onProgress) onProgress({ loaded: total, total });
+            return Promise.resolve(true);
+        }
+
+        return new Promise((resolve) => {
+            const entry = { message, total, loaded: 0, seq: 0, onProgress, resolve };
+            // messages without an ID have nothing to stay in order with
+            const key = id === undefined ? Symbol('message') : id;
+            if (!this.lanes.has(key)) this.lanes.set(key, []);
+            this.lanes.get(key).push(entry);
+            this.schedule();
+        });
+    }
+
+    /**
+     * Schedules the next round of chunks.
+     * @private
+     */
+    schedule() {
+        if (this.timer || !this.lanes.size) return;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.pump();
+        }, 0);
+    }
+
+    /**
+     * Sends one chunk (or one small message) of every waiting transfer.
+     * @private
+     */
+    pump() {
+        this.lanes.forEach((lane, key) => {
+            const entry = lane[0];
+            if (entry.total <= this.chunkSize) {
+                this.sendMessage(entry.message);
+                entry.loaded = entry.total;
+            } else {
+                this.sendChunk(entry, key);
+            }
+            if (entry.onProgress) entry.onProgress({ loaded: entry.loaded, total: entry.total });
+            if (entry.loaded < entry.total) return;
+            lane.shift();
+            entry.resolve(true);
+            if (!lane.length) this.lanes.delete(key);
+        });
+        this.schedule();
+    }
+
+    /**
+     * Sends the next chunk of a message.
+     * @private
+     * @param {Object} entry - The message being transferred.
+     * @param {string|symbol} key - The request ID, or a symbol for messages without one.
+     */
+    sendChunk(entry, key) {
+        if (entry.transfer === undefined) entry.transfer = ++this.transfers;
+        const data = entry.message.slice(entry.loaded, entry.loaded + this.chunkSize);
+        this.sendMessage(this.codec.encode({
+            chunk: entry.transfer,
+            id: typeof key === 'symbol' ? undefined : key,
+            seq: entry.seq++,
+            count: Math.ceil(entry.total / this.chunkSize),
+            size: entry.total,
+            data,
+        }));
+        entry.loaded += data.length;
+    }
+
+    /**
+     * Drops the messages waiting to be sent for a request, telling the other side to discard a
+     * transfer already under way.
+     * @param {string} id - The request ID.
+     */
+    abort(id) {
+        const lane = this.lanes.get(id);
+        if (!lane) return;
+        this.lanes.delete(id);
+        lane.forEach((entry) => {
+            if (entry.transfer !== undefined) {
+                this.sendMessage(this.codec.encode({ chunk: entry.transfer, abort: true }));
+            }
+            entry.resolve(false);
+        });
+    }
+
+    /**
+     * Drops every outgoing and incoming transfer. Called when the socket closes.
+     */
+    abortAll() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.lanes.forEach((lane) => lane.forEach((entry) => entry.resolve(false)));
+        this.lanes.clear();
+        this.incoming.clear();
+    }
+
+    /**
+     * Takes a received chunk envelope.
+     * @param {Object} envelope - The decoded chunk envelope.
+     * @returns {string|Uint8Array|undefined} The complete encoded message once its last chunk arrives.
+     * @throws {WSError} With code `MESSAGE_TOO_LARGE` on the first chunk of a message over `maxSize`,
+     * `RATE_LIMITED` when a transfer starts while `maxTransfers` are under way, and `INVALID_REQUEST`
+     * when the chunks do not match what the first one announced. The transfer is dropped.
+     */
+    receive({ chunk, id, seq, count, size, data, abort }) {
+        if (abort) {
+            this.incoming.delete(chunk);
+            return undefined;
+        }
+        const now = Date.now();
+        this.incoming.forEach((transfer, key) => {
+            if (now - transfer.updated > this.transferTimeout) this.incoming.delete(key);
+        });
+        let transfer = this.incoming.get(chunk);
+        if (!transfer) {
+            if (seq !== 0) return undefined; // the rest of a rejected, aborted or expired transfer
+            // every chunk but the last one is full, so there can not be more chunks than bytes
+            const counted = Number.isInteger(count) && count >= 1 && count <= Math.max(size, 1);
+            if (!Number.isInteger(size) || size < 0 || !counted) {
+                throw WSChunker.invalid();
+            }
+            if (size > this.maxSize) {
+                throw new WSError('Message too large', {
+                    code: 'MESSAGE_TOO_LARGE', details: { maxMessageSize: this.maxSize },
+                });
+            }
+            if (this.incoming.size >= this.maxTransfers) {
+                throw new WSError('Too many transfers in progress', {
+                    code: 'RATE_LIMITED', details: { limit: 'transfers', maxTransfers: this.maxTransfers },
+                });
+            }
+            transfer = { id, count, size, pieces: [], loaded: 0, seq: 0, updated: now };
+            this.incoming.set(chunk, transfer);
+        }
+        // what is received never goes over the announced size, itself at most maxSize
+        const valid = typeof data === 'string' || data instanceof Uint8Array;
+        if (seq !== transfer.seq || !valid || transfer.loaded + data.length > transfer.size) {
+            this.incoming.delete(chunk);
+            throw WSChunker.invalid();
+        }
+        transfer.pieces.push(data);
+        transfer.loaded += data.length;
+        transfer.seq++;
+        transfer.updated = now;
+        if (this.onProgress && id !== undefined) this.onProgress(id, { loaded: transfer.loaded, total: transfer.size });
+        if (transfer.seq < transfer.count) return undefined;
+
+        this.incoming.delete(chunk);
+        if (transfer.loaded !== transfer.size) throw WSChunker.invalid();
+        return WSChunker.join(transfer.pieces);
+    }
+
+    /**
+     * @private
+     * @returns {WSError} The error for chunks that do not belong to a well-formed transfer.
+     */
+    static invalid() {
+        return new WSError('Invalid chunk', { code: 'INVALID_REQUEST' });
+    }
+
+    /**
+     * Puts the pieces of a message back together.
+     * @private
+     * @param {Array<string|Uint8Array>} pieces - The received pieces, in order.
+     * @returns {string|Uint8Array} The message.
+     */
+    static join(pieces) {
+        if (typeof pieces[0] === 'string') return pieces.join('');
+        const message = new Uint8Array(pieces.reduce((length, piece) => length + piece.length, 0));
+        let offset = 0;
+        pieces.forEach((piece) => {
+            message.set(piece, offset);
+            offset += piece.length;
+        });
+        return message;
+    }
+}
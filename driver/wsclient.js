@@ -1,10 +1,49 @@
+import Pledge from '../helper/pledge.js';
+import { WSError, WSRemoteError, AbortError } from './wserror.js';
+import WSStreamIterator from './wsiterator.js';
+import { createProtocol } from './wsprotocol.js';
+import { JsonCodec, createCodec } from './wscodec.js';
+import WSChunker from './wschunker.js';
+import { TOPIC_EVENT } from './wstopic.js';
+
+// Client events that can not be triggered by a server push
+const RESERVED_EVENTS = ['statechange', 'open', 'disconnect', 'reconnect', 'error'];
+
 /**
  * WebSocket Client for managing connections, sending and receiving messages, and handling reconnections.
  *
+ * The connection goes through the states `connecting`, `open`, `reconnecting` and `closed`. Every
+ * transition emits `statechange`; `open` is emitted on each successful connection, `disconnect` when
+ * an open connection is lost and `reconnect` when a connection is re-established.
+ *
+ * With `heartbeat` enabled the client pings the server periodically and treats a missing answer
+ * as a lost connection. The last measured round trip is available in `latency`.
+ *
+ * With `auth` set, credentials are sent on every connection attempt, either in the query string or
+ * in a first `auth` message. If the server rejects them, the client emits `error` and closes.
+ *
+ * Events pushed by the server (`{ event, data }` frames) are delivered to the listeners registered
+ * with `on(event, listener)`, the same way as the connection events. The server may also call a
+ * name registered with `on` as a method: the first listener then acts as the handler and its return
+ * value (or the value its promise resolves to) is sent back.
+ *
+ * With `subscribe` the client follows a topic the server publishes to, acknowledging each message
+ * it handled. After a reconnect it subscribes again and gets the messages it had not acknowledged.
+ *
  * @class WSClient
  * @param {Object} options - Configuration options.
  * @param {string} options.url - The WebSocket server URL.
  * @param {boolean} [options.reconnect=true] - Whether to automatically reconnect on disconnect.
+ * @param {Object} [options.backoff] - Reconnect delay settings.
+ * @param {Object|boolean} [options.heartbeat=false] - Application-level ping settings.
+ * @param {Object} [options.auth] - Credentials sent to the server when connecting.
+ * @param {number} [options.queueSize=100] - Maximum number of messages kept while disconnected.
+ * @param {number} [options.queueTTL=10000] - Milliseconds a queued message may wait before it is dropped.
+ * @param {boolean} [options.resubscribe=false] - Re-issue active streams after each reconnect.
+ * @param {string|Object} [options.protocol='native'] - Wire protocol, `native` or `jsonrpc`.
+ * @param {string|Object|Array} [options.codec='json'] - Message codec(s) to negotiate, `json` or `binary`.
+ * @param {number} [options.chunkSize] - Send messages longer than this in chunks.
+ * @param {string} [options.consumer] - Name the server keeps topic acknowledgements under.
  */
 export default class WSClient {
 
@@ -14,185 +53,998 @@ export default class WSClient {
      * @param {Object} options - Configuration options.
      * @param {string} options.url - The WebSocket server URL.
      * @param {boolean} [options.reconnect=true] - Enable auto-reconnect.
+     * @param {Object} [options.backoff] - Reconnect delay settings.
+     * @param {number} [options.backoff.initialDelay=1000] - Delay before the first reconnect attempt, in milliseconds.
+     * @param {number} [options.backoff.multiplier=2] - Factor applied to the delay after each failed attempt.
+     * @param {number} [options.backoff.maxDelay=30000] - Upper bound for the delay.
+     * @param {number} [options.backoff.jitter=0.5] - Fraction of the delay that is randomized (0 to 1).
+     * @param {number} [options.backoff.maxAttempts=Infinity] - Give up after this many consecutive failed attempts.
+     * @param {Object|boolean} [options.heartbeat=false] - Ping the server periodically. `true` uses the defaults.
+     * @param {number} [options.heartbeat.interval=30000] - Milliseconds between pings.
+     * @param {number} [options.heartbeat.timeout=10000] - Milliseconds to wait for a pong before reconnecting.
+     * @param {Object} [options.auth] - Credentials sent to the server when connecting.
+     * @param {any|function} options.auth.credentials - The credentials, or a (possibly async) function
+     * returning them. A function is called again before every reconnect, so tokens can be refreshed.
+     * @param {string} [options.auth.mode='message'] - `message` sends an `auth` request right after the
+     * socket opens; `query` adds the credentials to the URL.
+     * @param {string} [options.auth.param='token'] - Query string parameter used in `query` mode.
+     * @param {number} [options.auth.timeout=10000] - Milliseconds to wait for the server to accept the `auth` message.
+     * @param {number} [options.queueSize=100] - Maximum number of messages kept while disconnected.
+     * @param {number} [options.queueTTL=10000] - Milliseconds a queued message may wait before it is dropped.
+     * @param {boolean} [options.resubscribe=false] - Re-issue active streams after each reconnect.
+     * @param {string|Object} [options.protocol='native'] - Wire protocol: `native`, `jsonrpc` for JSON-RPC 2.0,
+     * or a protocol object (see wsprotocol.js). Must match the server's.
+     * @param {string|Object|Array} [options.codec='json'] - Message codec: `json`, `binary` (compact binary
+     * frames that also carry Buffers, Dates, Maps, Sets and BigInts) or a codec object (see wscodec.js).
+     * A list is offered to the server in order of preference, through the WebSocket subprotocol.
+     * @param {number} [options.chunkSize] - Send messages longer than this (in characters, or bytes for binary
+     * codecs) in chunks, so large uploads do not hold up other requests. Chunked messages from the server are
+     * always accepted. See WSChunker.
+     * @param {string} [options.consumer] - Name the server keeps topic acknowledgements under, so another
+     * client using the same name resumes where this one stopped. Defaults to a random name, picked on the first
+     * `subscribe`, which lets this client resume after reconnecting.
      */
-    constructor({url, reconnect=true}={}) {
+    constructor({
+        url, reconnect=true, backoff={}, heartbeat=false, auth, queueSize=100, queueTTL=10000, resubscribe=false,
+        protocol='native', codec='json', chunkSize, consumer,
+    }={}) {
         this.url = url;
         this.reconnect = reconnect;
+        this.backoff = {
+            initialDelay: 1000,
+            multiplier: 2,
+            maxDelay: 30000,
+            jitter: 0.5,
+            maxAttempts: Infinity,
+            ...backoff,
+        };
+        this.heartbeat = heartbeat
+            ? { interval: 30000, timeout: 10000, ...(heartbeat === true ? {} : heartbeat) }
+            : null;
+        this.latency = null; // Last measured round trip to the server, in milliseconds
+        this.auth = auth ? { mode: 'message', param: 'token', timeout: 10000, ...auth } : null;
+        this.queueSize = queueSize;
+        this.queueTTL = queueTTL;
+        this.resubscribe = resubscribe;
+        this.protocol = createProtocol(protocol);
+        this.codecs = [].concat(codec).map(createCodec);
+        this.codec = this.codecs[0]; // Codec of the current connection, known once it opens
+        this.chunkSize = chunkSize;
+        this._chunker = null; // Chunker of the current connection
+        this._progress = new Map(); // Progress callbacks of pending requests, by message ID
         this.isOpen = false;
+        this.state = 'closed';
+        this.attempts = 0; // Consecutive failed connection attempts
         this.onMessageListeners = [];
+        this.pending = new Map(); // Requests and streams waiting for answers, by message ID
+        this._lastId = 0; // Counter message IDs are made from
+        this.eventListeners = new Map(); // Listeners registered with on(), by event name
+        this.queue = []; // Messages waiting for the socket to open
+        this.streams = new Map(); // Active streams, by message ID
+        this.consumer = consumer; // Picked on the first subscribe when not given
+        this.topics = new Map(); // Topic subscriptions, by topic name
+        this._batch = null; // Frames collected while a batch is being built
         this._isConnecting = false; // Prevent multiple simultaneous connections
         this._shouldReconnect = true; // Track if reconnect is desired
-        this.connect();
+        this._hasConnected = false; // Whether a connection was ever established
+        this.connect().catch(() => {}); // failures are handled by the close handler
     }
 
     /**
      * Establishes a WebSocket connection and sets up event handlers.
      * @async
-     * @returns {Promise<void>}
+     * @returns {Promise<void>} Resolves when this connection attempt succeeds, rejects if it fails.
      */
     async connect() {
         if (this._isConnecting) return;
         this._isConnecting = true;
         this._shouldReconnect = this.reconnect;
+        clearTimeout(this._reconnectTimer);
         if (this.socket) {
             this.socket.onclose = null;
             this.socket.onerror = null;
             this.socket.onmessage = null;
             this.socket.onopen = null;
         }
-        this.socket = new WebSocket(this.url);
+        this._setState(this._hasConnected || this.attempts ? 'reconnecting' : 'connecting');
 
-        // Single error handler
-        const handleError = (error) => {
-            console.error('WebSocket error:', error);
-            this.isOpen = false;
-            if (this._shouldReconnect) {
-                setTimeout(() => this.connect(), 1000);
+        let url = this.url;
+        let credentials;
+        if (this.auth) {
+            try {
+                credentials = typeof this.auth.credentials === 'function'
+                    ? await this.auth.credentials()
+                    : this.auth.credentials;
+            } catch (err) {
+                this._isConnecting = false;
+                if (this._shouldReconnect) {
+                    this._scheduleReconnect();
+                } else {
+                    this._setState('closed');
+                }
+                throw err;
             }
-        };
-
-        this.socket.onclose = () => {
-            this.isOpen = false;
-            // console.log('WebSocket connection closed');
-            if (this._shouldReconnect) {
-                setTimeout(() => this.connect(), 1000);
+            // closed while the credentials were being fetched
+            if (this.state === 'closed') {
+                this._isConnecting = false;
+                return;
             }
-        };
-        this.socket.onerror = handleError;
+            if (this.auth.mode === 'query') {
+                const target = new URL(url);
+                target.searchParams.set(this.auth.param, credentials);
+                url = target.toString();
+            }
+        }
+
+        // a client that only speaks JSON does not negotiate, so it can talk to any server
+        const negotiate = this.codecs.length > 1 || !(this.codecs[0] instanceof JsonCodec);
+        this.socket = new WebSocket(url, negotiate ? this.codecs.map(({ name }) => name) : undefined);
+        const socket = this.socket;
+        socket.binaryType = 'arraybuffer';
+        const attempt = new Pledge();
 
-        this.socket.onmessage = (event) => {
-            this.onMessageListeners.forEach(listener => {
+        socket.onopen = async () => {
+            this.codec = this.codecs.find(({ name }) => name === socket.protocol) || new JsonCodec();
+            this._chunker = new WSChunker({
+                codec: this.codec,
+                chunkSize: this.chunkSize,
+                send: (message) => socket.send(message),
+                onProgress: (id, progress) => this._reportProgress(id, 'download', progress),
+            });
+            if (this.auth && this.auth.mode === 'message') {
                 try {
-                    listener(event);
-                } catch (e) {
-                    console.error('Listener error:', e);
+                    await this._authenticate(socket, credentials);
+                } catch (err) {
+                    // a rejection will not get better by retrying, a timeout might
+                    if (err instanceof WSRemoteError) {
+                        this._shouldReconnect = false;
+                        this._dropQueue(err);
+                        this.emit('error', err);
+                    }
+                    attempt.reject(err);
+                    socket.close();
+                    return;
                 }
+            }
+            const reconnected = this._hasConnected;
+            const attempts = this.attempts;
+            this._hasConnected = true;
+            this.attempts = 0;
+            this.isOpen = true;
+            this._flush();
+            if (reconnected) this._resubscribeTopics();
+            this._startHeartbeat(socket);
+            this._setState('open');
+            this.emit('open');
+            if (reconnected) this.emit('reconnect', { attempts });
+            attempt.resolve();
+        };
+
+        // An error is always followed by a close event, which takes care of reconnecting
+        socket.onerror = (error) => {
+            console.error('WebSocket error:', error);
+            attempt.reject(error);
+        };
+
+        socket.onclose = (event) => {
+            attempt.reject(new WSError('Connection closed', { code: 'CONNECTION_CLOSED' }));
+            this._handleClose(socket, event);
+        };
+
+        socket.onmessage = (event) => {
+            this._decodeMessage(event).forEach((frameEvent) => {
+                if (this._handleControlFrame(frameEvent)) return;
+                this._handleAnswer(frameEvent);
+                this.onMessageListeners.forEach(listener => {
+                    try {
+                        listener(frameEvent);
+                    } catch (e) {
+                        console.error('Listener error:', e);
+                    }
+                });
             });
         };
 
         this.isOpen = false;
         try {
-            await this.open();
+            await attempt.get();
         } finally {
             this._isConnecting = false;
         }
     }
 
     /**
-     * Waits for the WebSocket connection to open.
+     * Sends the `auth` request on a freshly opened socket and waits for the server to accept it.
+     * @private
+     * @async
+     * @param {WebSocket} socket - The open socket.
+     * @param {any} credentials - The credentials to send.
+     * @returns {Promise<void>} Resolves when the server accepts the credentials.
+     * @throws {WSRemoteError} If the server rejects them.
+     */
+    async _authenticate(socket, credentials) {
+        const pledge = new Pledge();
+        const id = this._nextId();
+        this._authRequest = { id, pledge };
+        this._sendFrame({ id, method: 'auth', payload: credentials });
+        try {
+            await pledge.timeout(this.auth.timeout);
+        } finally {
+            this._authRequest = null;
+        }
+    }
+
+    /**
+     * Handles a socket closing: updates the state and schedules the reconnect if desired.
+     * @private
+     * @param {WebSocket} socket - The socket that was closed.
+     * @param {CloseEvent} event - The close event.
+     */
+    _handleClose(socket, event) {
+        const wasOpen = this.isOpen;
+        this.isOpen = false;
+        this._stopHeartbeat();
+        if (this._chunker) this._chunker.abortAll();
+        this._handleDisconnect(socket);
+        if (wasOpen) this.emit('disconnect', event);
+        if (this._shouldReconnect) {
+            this._scheduleReconnect();
+        } else {
+            this._setState('closed');
+            this._failAll(new WSError('Connection closed', { code: 'CONNECTION_CLOSED' }));
+        }
+    }
+
+    /**
+     * Starts pinging the server on a newly opened socket.
+     * @private
+     * @param {WebSocket} socket - The open socket.
+     */
+    _startHeartbeat(socket) {
+        if (!this.heartbeat) return;
+        this._stopHeartbeat();
+        const { interval, timeout } = this.heartbeat;
+        this._pingCount = 0;
+        this._heartbeatTimer = setInterval(() => {
+            if (this._pongTimer) return; // still waiting for the previous pong
+            this._pingId = ++this._pingCount;
+            this._pingSentAt = Date.now();
+            this._sendFrame({ ping: this._pingId });
+            this._pongTimer = setTimeout(() => this._dropConnection(socket), timeout);
+        }, interval);
+    }
+
+    /**
+     * Stops the heartbeat timers.
+     * @private
+     */
+    _stopHeartbeat() {
+        clearInterval(this._heartbeatTimer);
+        clearTimeout(this._pongTimer);
+        this._pongTimer = null;
+    }
+
+    /**
+     * Encodes a frame, or a batch of frames, with the client's protocol and codec, and sends it on
+     * the open socket, in chunks if it is large.
+     * @private
+     * @param {Object|Array<Object>} frame - The frame to send.
+     * @param {function} [onProgress] - Called with `{ loaded, total }` as the frame goes out.
+     */
+    _sendFrame(frame, onProgress) {
+        const message = this.protocol.encode(frame);
+        if (message === undefined) return;
+        this._chunker.send(this.codec.encode(message), { id: Array.isArray(frame) ? undefined : frame.id, onProgress });
+    }
+
+    /**
+     * Passes transfer progress to the callback of the request it belongs to.
+     * @private
+     * @param {string} id - The message ID.
+     * @param {string} direction - `upload` or `download`.
+     * @param {Object} progress - The `loaded` and `total` message length.
+     */
+    _reportProgress(id, direction, progress) {
+        const onProgress = this._progress.get(id);
+        if (onProgress) onProgress({ direction, ...progress });
+    }
+
+    /**
+     * Decodes a received message once, with the codec and then the protocol, putting chunked
+     * messages back together first. Returns one message
+     * event per native frame (several for a batch), each with the raw `data` and the decoded `frame`.
+     * Messages that can not be decoded are dropped.
+     * @private
+     * @param {MessageEvent} event - The received message event.
+     * @returns {Array<Object>} The message events to handle.
+     */
+    _decodeMessage(event) {
+        let message;
+        try {
+            message = this.codec.decode(event.data);
+            if (WSChunker.isChunk(message)) {
+                const complete = this._chunker.receive(message);
+                if (complete === undefined) return [];
+                message = this.codec.decode(complete);
+            }
+        } catch (e) {
+            console.error('Malformed message:', e);
+            return [];
+        }
+        const messages = this.protocol.isBatch(message) ? message : [message];
+        return messages.map(item => ({ data: event.data, frame: this.protocol.decode(item) }));
+    }
+
+    /**
+     * Consumes protocol control frames (heartbeat pongs and the answer to the `auth` request),
+     * server pushes and server requests before they reach the message listeners.
+     * @private
+     * @param {Object} event - The decoded message event.
+     * @returns {boolean} Whether the frame was consumed.
+     */
+    _handleControlFrame({ frame: parsed }) {
+        if (!parsed) return false;
+        if (this._authRequest && parsed.id === this._authRequest.id) {
+            const { message, code, details } = parsed;
+            if (parsed.error) {
+                this._authRequest.pledge.reject(new WSRemoteError(message, { method: 'auth', id: parsed.id, code, details }));
+            } else {
+                this._authRequest.pledge.resolve();
+            }
+            return true;
+        }
+        if (parsed.method !== undefined && parsed.id !== undefined) {
+            this._handleRequest(parsed);
+            return true;
+        }
+        if (parsed.id === undefined && (parsed.event ?? parsed.method) === TOPIC_EVENT) {
+            this._handleTopicMessage(parsed.event !== undefined ? parsed.data : parsed.payload);
+            return true;
+        }
+        if (parsed.event !== undefined && parsed.id === undefined) {
+            if (!RESERVED_EVENTS.includes(parsed.event)) {
+                this.emit(parsed.event, parsed.data);
+            }
+            return true;
+        }
+        // a notification, as JSON-RPC servers send their pushes
+        if (parsed.method !== undefined && parsed.id === undefined) {
+            if (!RESERVED_EVENTS.includes(parsed.method)) {
+                this.emit(parsed.method, parsed.payload);
+            }
+            return true;
+        }
+        if (parsed.pong === undefined) return false;
+        if (parsed.pong === this._pingId && this._pongTimer) {
+            clearTimeout(this._pongTimer);
+            this._pongTimer = null;
+            this.latency = Date.now() - this._pingSentAt;
+        }
+        return true;
+    }
+
+    /**
+     * Passes an answer to the request or stream it belongs to, found by its message ID.
+     * @private
+     * @param {Object} event - The decoded message event.
+     */
+    _handleAnswer({ frame }) {
+        const entry = frame && frame.id !== undefined && this.pending.get(frame.id);
+        if (!entry) return;
+        try {
+            entry.handle(frame);
+        } catch (e) {
+            console.error('Listener error:', e);
+        }
+    }
+
+    /**
+     * Passes a topic message to its subscription, skipping messages it already got. Messages of a
+     * topic are handled one at a time, and acknowledged once their callback is done.
+     * @private
+     * @param {Object} message - The `topic`, `offset` and `data` of the message.
+     */
+    _handleTopicMessage({ topic, offset, data } = {}) {
+        const subscription = this.topics.get(topic);
+        if (!subscription || offset < subscription.position) return;
+        subscription.position = offset + 1;
+        const ack = () => this.notify('topics.ack', { topic, offset });
+        subscription.queue = subscription.queue.then(async () => {
+            if (this.topics.get(topic) !== subscription) return;
+            await subscription.callback(data, { topic, offset, ack });
+            if (subscription.ack) ack();
+        }).catch((err) => this._topicError(subscription, err));
+    }
+
+    /**
+     * Reports a failure of a topic subscription to its `onError` hook, or logs it.
+     * @private
+     * @param {Object} subscription - The subscription.
+     * @param {Error} err - The error.
+     */
+    _topicError(subscription, err) {
+        if (subscription.onError) {
+            subscription.onError(err);
+        } else {
+            console.error(`Topic ${subscription.topic} error:`, err);
+        }
+    }
+
+    /**
+     * Subscribes again to the topics followed before a reconnect. The server resumes each one at
+     * the first message this client's consumer had not acknowledged.
+     * @private
+     */
+    _resubscribeTopics() {
+        this.topics.forEach((subscription) => {
+            if (!subscription.active) return;
+            // the unacknowledged messages come again, even those already passed to the callback
+            subscription.position = 0;
+            this.send('topics.subscribe', { topic: subscription.topic, consumer: this.consumer })
+                .catch((err) => this._topicError(subscription, err));
+        });
+    }
+
+    /**
+     * Runs the handler registered with `on` for a request sent by the server and answers it.
+     * The handler is called as `handler(payload, respond)`; it can answer through `respond` or by
+     * returning a value or a promise. Under a protocol without streams, a handler returning nothing
+     * answers `null` right away. Thrown WSErrors are sent back as they are, other errors as a
+     * generic handler error.
+     * @private
+     * @param {Object} request - The parsed request frame.
+     */
+    _handleRequest({ id, method, payload }) {
+        const [handler] = RESERVED_EVENTS.includes(method) ? [] : this.eventListeners.get(method) || [];
+        const fail = (err) => {
+            const error = err instanceof WSError
+                ? err
+                : new WSError('Method handler error', { code: 'INTERNAL_ERROR' });
+            this._write(error.toEnvelope(id));
+        };
+        if (!handler) {
+            fail(new WSError('Method not found', { code: 'METHOD_NOT_FOUND' }));
+            return;
+        }
+
+        let responded = false;
+        const respond = (data) => {
+            if (responded) return;
+            responded = true;
+            this._write({ id, data });
+        };
+        let result;
+        try {
+            result = handler(payload, respond);
+        } catch (err) {
+            fail(err);
+            return;
+        }
+        if (result && typeof result.then === 'function') {
+            Promise.resolve(result).then(respond, (err) => {
+                if (!responded) fail(err);
+            });
+        } else if (result !== undefined || !this.protocol.streams) {
+            // a protocol without streams answers every request, with `null` if need be (JSON-RPC)
+            respond(result);
+        }
+    }
+
+    /**
+     * Abandons a socket that stopped answering and goes through the regular close handling,
+     * without waiting for a closing handshake that may never complete.
+     * @private
+     * @param {WebSocket} socket - The unresponsive socket.
+     */
+    _dropConnection(socket) {
+        socket.onclose = null;
+        socket.onerror = null;
+        socket.onmessage = null;
+        socket.onopen = null;
+        if (typeof socket.terminate === 'function') {
+            socket.terminate();
+        } else {
+            socket.close();
+        }
+        this._handleClose(socket, { code: 4000, reason: 'Heartbeat timeout' });
+    }
+
+    /**
+     * Schedules the next reconnect attempt using exponential backoff with jitter.
+     * This is the only place reconnects are scheduled from.
+     * @private
+     */
+    _scheduleReconnect() {
+        if (this.attempts >= this.backoff.maxAttempts) {
+            this._shouldReconnect = false;
+            const error = new WSError('Reconnect attempts exhausted', { code: 'CONNECTION_CLOSED' });
+            this._dropQueue(error);
+            this._setState('closed');
+            this._failAll(error);
+            return;
+        }
+        const delay = this._reconnectDelay(this.attempts);
+        this.attempts++;
+        clearTimeout(this._reconnectTimer);
+        this._reconnectTimer = setTimeout(() => this.connect().catch(() => {}), delay);
+        this._setState('reconnecting');
+    }
+
+    /**
+     * Computes the delay before a reconnect attempt. Jitter takes a random share of the delay off,
+     * so clients dropped at the same moment do not all come back at once.
+     * @private
+     * @param {number} attempt - Number of failed attempts so far.
+     * @returns {number} The delay in milliseconds.
+     */
+    _reconnectDelay(attempt) {
+        const { initialDelay, multiplier, maxDelay, jitter } = this.backoff;
+        const delay = Math.min(initialDelay * multiplier ** attempt, maxDelay);
+        return delay - delay * jitter * Math.random();
+    }
+
+    /**
+     * Moves the client to a new connection state and emits `statechange`.
+     * @private
+     * @param {string} state - `connecting`, `open`, `reconnecting` or `closed`.
+     */
+    _setState(state) {
+        if (this.state === state) return;
+        const previous = this.state;
+        this.state = state;
+        this.emit('statechange', state, previous);
+    }
+
+    /**
+     * Waits for the WebSocket connection to open, across reconnect attempts.
      * @async
-     * @returns {Promise<void>} Resolves when the connection is open.
+     * @returns {Promise<void>} Resolves when the connection is open, rejects if the client closes first.
      */
     async open() {
         if (this.isOpen) return;
+        if (this.state === 'closed' && !this._isConnecting) {
+            throw new WSError('Connection closed', { code: 'CONNECTION_CLOSED' });
+        }
         return await new Promise((resolve, reject) => {
-            const onOpen = () => {
-                // console.log('WebSocket connection established');
-                this.isOpen = true;
-                if (this.onConnectCallback) {
-                    this.onConnectCallback();
-                }
-                this.socket.removeEventListener('open', onOpen);
-                this.socket.removeEventListener('error', onError);
+            const offOpen = this.on('open', () => {
+                offOpen();
+                offState();
                 resolve();
-            };
-            const onError = (err) => {
-                this.socket.removeEventListener('open', onOpen);
-                this.socket.removeEventListener('error', onError);
-                reject(err);
-            };
-            this.socket.addEventListener('open', onOpen);
-            this.socket.addEventListener('error', onError);
+            });
+            const offState = this.on('statechange', (state) => {
+                if (state !== 'closed') return;
+                offOpen();
+                offState();
+                reject(new WSError('Connection closed', { code: 'CONNECTION_CLOSED' }));
+            });
         });
     }
 
     /**
-     * Sends a message through the WebSocket connection.
+     * Sends a message through the WebSocket connection, queueing it while disconnected.
      * @private
      * @param {string} method - The method name or type of message.
      * @param {any} data - The payload to send.
+     * @param {Object} [options] - Delivery options.
+     * @param {Object} [options.extra] - Additional fields to include in the frame.
+     * @param {function} [options.onWrite] - Called with the socket once the frame is written to it.
+     * @param {function} [options.onDrop] - Called with an error if the frame is dropped instead.
+     * @param {function} [options.onProgress] - Called with `{ loaded, total }` as the frame goes out.
      * @returns {string} The generated message ID.
      */
-    _send(method, data) {
-        const messageId = Math.random().toString(36).slice(2);
-        this.socket.send(JSON.stringify({
+    _send(method, data, { extra = {}, onWrite, onDrop, onProgress } = {}) {
+        const messageId = this._nextId();
+        this._write({
             id: messageId,
             method,
             payload: data,
-        }));
+            ...extra,
+        }, { onWrite, onDrop, onProgress });
         return messageId;
     }
 
+    /**
+     * Returns a random consumer name. `crypto.randomUUID` is missing from older Node versions and from
+     * pages not served over HTTPS, where a name made from the time and `Math.random` is used instead.
+     * @private
+     * @returns {string} The consumer name.
+     */
+    _randomConsumer() {
+        if (typeof globalThis.crypto?.randomUUID === 'function') return globalThis.crypto.randomUUID();
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    }
+
+    /**
+     * Returns a message ID no other message of this client uses.
+     * @private
+     * @returns {string} The message ID.
+     */
+    _nextId() {
+        this._lastId += 1;
+        return this._lastId.toString(36);
+    }
+
+    /**
+     * Writes a frame to the socket if it is open, otherwise adds it to the outgoing queue. While a
+     * batch is being built, frames are collected for it instead.
+     * @private
+     * @param {Object|Array<Object>} frame - The frame, or a batch of frames, to send.
+     * @param {Object} [callbacks] - Delivery callbacks.
+     * @param {function} [callbacks.onWrite] - Called with the socket once the frame is written to it.
+     * @param {function} [callbacks.onDrop] - Called with an error if the frame is dropped instead.
+     * @param {function} [callbacks.onProgress] - Called with `{ loaded, total }` as the frame goes out.
+     */
+    _write(frame, { onWrite, onDrop, onProgress } = {}) {
+        if (this._batch) {
+            this._batch.push({ frame, onWrite, onDrop });
+            return;
+        }
+        if (this.isOpen) {
+            this._sendFrame(frame, onProgress);
+            if (onWrite) onWrite(this.socket);
+            return;
+        }
+        const drop = (error) => onDrop && onDrop(error);
+        if (this.state === 'closed') {
+            drop(new WSError('Connection closed', { code: 'CONNECTION_CLOSED' }));
+            return;
+        }
+        if (this.queue.length >= this.queueSize) {
+            drop(new WSError('Outgoing queue is full', { code: 'QUEUE_FULL' }));
+            return;
+        }
+        const entry = { frame, onWrite, onDrop, onProgress };
+        entry.timer = setTimeout(() => {
+            this.queue = this.queue.filter(e => e !== entry);
+            drop(new WSError('Queued message expired', { code: 'QUEUE_TIMEOUT' }));
+        }, this.queueTTL);
+        this.queue.push(entry);
+    }
+
+    /**
+     * Re-issues streams that were opened on a previous socket, then sends the queued messages.
+     * @private
+     */
+    _flush() {
+        this.streams.forEach((stream) => {
+            if (stream.socket && stream.socket !== this.socket) {
+                this._sendFrame(stream.frame);
+                stream.socket = this.socket;
+            }
+        });
+        const queue = this.queue;
+        this.queue = [];
+        queue.forEach(({ frame, onWrite, onProgress, timer }) => {
+            clearTimeout(timer);
+            this._sendFrame(frame, onProgress);
+            if (onWrite) onWrite(this.socket);
+        });
+    }
+
+    /**
+     * Fails the requests and streams that were sent on a socket that went away, except streams
+     * that resubscribe.
+     * @private
+     * @param {WebSocket} socket - The socket that was closed.
+     */
+    _handleDisconnect(socket) {
+        this.pending.forEach((entry) => {
+            if (entry.socket === socket && !entry.resubscribe) {
+                entry.fail(new WSError('Connection closed', { code: 'CONNECTION_CLOSED' }));
+            }
+        });
+    }
+
+    /**
+     * Fails every request and stream still waiting for answers, streams that resubscribe included.
+     * Called once the client is closed for good.
+     * @private
+     * @param {WSError} error - The error to fail them with.
+     */
+    _failAll(error) {
+        this.pending.forEach((entry) => entry.fail(error));
+    }
+
     /**
      * Sends a message and waits for a response with the same message ID.
      * @async
      * @param {string} method - The method name or type of message.
      * @param {any} data - The payload to send.
+     * @param {Object} [options] - Request options.
+     * @param {number} [options.timeout] - Milliseconds to wait for the response before rejecting. A request
+     * that times out is dropped from the queue if it was not sent yet, and the server is asked to cancel it
+     * otherwise; one still being uploaded in chunks stops being sent.
+     * @param {function} [options.onProgress] - Called with `{ direction, loaded, total }` as the request is
+     * uploaded (`direction` is `upload`) and as a chunked response is downloaded (`download`).
+     * @param {AbortSignal} [options.signal] - Aborts the request: the promise rejects with an AbortError
+     * and the server is asked to cancel the request.
      * @returns {Promise<any>} Resolves with the response data.
+     * @throws {WSRemoteError} If the server replies with an error envelope.
+     * @throws {AbortError} If the signal is aborted before the response arrives.
+     * @throws {TimeoutError} If no response arrives within `timeout`.
      */
-    async send(method, data) {
-        await this.open();
-        return new Promise((resolve, reject) => {
-            const messageId = this._send(method, data);
-            const listener = this.addListener((event) => {
-                let parsed;
-                try {
-                    parsed = JSON.parse(event.data);
-                } catch (e) {
-                    return;
-                }
-                const { data: responseData, id: responseId } = parsed;
-                if (responseId === messageId) {
-                    resolve(responseData);
-                    this.removeListener(listener);
+    async send(method, data, { timeout, onProgress, signal } = {}) {
+        if (signal?.aborted) {
+            throw new AbortError('Request aborted', { reason: signal.reason });
+        }
+        const pledge = new Pledge();
+        let answered = false;
+        const request = {
+            socket: null, // The socket the request went out on
+            handle: ({ data: responseData, error, message, code, details }) => {
+                answered = true;
+                if (error) {
+                    pledge.reject(new WSRemoteError(message, { method, id: messageId, code, details }));
+                } else {
+                    pledge.resolve(responseData);
                 }
-            });
-            const errorHandler = (error) => {
-                reject(error);
-                this.removeListener(listener);
-            };
-            this.socket.addEventListener('error', errorHandler);
+            },
+            fail: (error) => pledge.reject(error),
+        };
+        const messageId = this._send(method, data, {
+            onWrite: (socket) => { request.socket = socket; },
+            onDrop: request.fail,
+            onProgress: onProgress && ((progress) => onProgress({ direction: 'upload', ...progress })),
         });
+        this.pending.set(messageId, request);
+        if (onProgress) this._progress.set(messageId, onProgress);
+        const abortHandler = () => {
+            pledge.reject(new AbortError('Request aborted', { reason: signal.reason }));
+        };
+        if (signal) signal.addEventListener('abort', abortHandler);
+        try {
+            return await (timeout ? pledge.timeout(timeout) : pledge.get());
+        } finally {
+            // a request that timed out or was aborted must not go out after all, nor keep running
+            if (!answered) this._cancel(messageId, request.socket);
+            this.pending.delete(messageId);
+            if (signal) signal.removeEventListener('abort', abortHandler);
+            this._progress.delete(messageId);
+            if (this._chunker) this._chunker.abort(messageId);
+        }
+    }
+
+    /**
+     * Calls a method without waiting for, or getting, an answer (a JSON-RPC notification).
+     * @param {string} method - The method name.
+     * @param {any} data - The payload to send.
+     */
+    notify(method, data) {
+        this._write({ method, payload: data });
+    }
+
+    /**
+     * Sends several requests at once. With a protocol that supports batches they travel in a single
+     * message; otherwise they are sent one by one.
+     * @async
+     * @param {Array<Array>} calls - The requests, as `[method, data]` pairs.
+     * @param {Object} [options] - Request options, applied to every request. See `send`.
+     * @returns {Promise<Array<any>>} Resolves with the response data, in the order of the calls.
+     * @throws {WSRemoteError} If the server replies to any of the requests with an error envelope.
+     */
+    async batch(calls, options) {
+        if (!this.protocol.batches) {
+            return await Promise.all(calls.map(([method, data]) => this.send(method, data, options)));
+        }
+        this._batch = [];
+        let requests;
+        try {
+            requests = calls.map(([method, data]) => this.send(method, data, options));
+        } finally {
+            const entries = this._batch;
+            this._batch = null;
+            if (entries.length) {
+                this._write(entries.map(({ frame }) => frame), {
+                    onWrite: (socket) => entries.forEach(({ onWrite }) => onWrite && onWrite(socket)),
+                    onDrop: (error) => entries.forEach(({ onDrop }) => onDrop && onDrop(error)),
+                });
+            }
+        }
+        return await Promise.all(requests);
     }
 
     /**
      * Sends a message and listens for a stream of responses.
+     * The stream finishes when the server ends it or replies with an error. Calling the returned
+     * function before that cancels the stream on the server as well. If the connection drops, the
+     * stream fails with a `CONNECTION_CLOSED` error, unless it resubscribes after reconnecting.
      * @async
      * @param {string} method - The method name or type of message.
      * @param {any} data - The payload to send.
      * @param {function} callback - Function to call with each response.
+     * @param {Object} [hooks] - Stream lifecycle hooks and options.
+     * @param {function} [hooks.onEnd] - Called when the server ends the stream.
+     * @param {function} [hooks.onError] - Called with a WSError when the stream fails.
+     * @param {boolean} [hooks.resubscribe] - Re-issue the stream after reconnects. Defaults to the client option.
      * @returns {function} Function to stop listening to the stream.
+     * @throws {WSError} If the client's protocol can not carry streams.
      */
-    async stream(method, data, callback) {
-        await this.open();
-        const messageId = this._send(method, data);
-        const listener = this.addListener((event) => {
-            let parsed;
-            try {
-                parsed = JSON.parse(event.data);
-            } catch (e) {
-                return;
-            }
-            const { data: responseData, id: responseId } = parsed;
-            if (responseId === messageId) {
+    async stream(method, data, callback, { onEnd, onError, resubscribe = this.resubscribe } = {}) {
+        if (!this.protocol.streams) {
+            throw new WSError(`Streams are not supported by the ${this.protocol.name} protocol`, { code: 'INVALID_REQUEST' });
+        }
+        const stream = { resubscribe, socket: null, closed: false };
+        let messageId;
+        const finish = () => {
+            stream.closed = true;
+            this.pending.delete(messageId);
+            this.streams.delete(messageId);
+        };
+        stream.fail = (error) => {
+            finish();
+            if (onError) onError(error);
+        };
+        messageId = this._send(method, data, {
+            extra: { stream: true },
+            onWrite: (socket) => { stream.socket = socket; },
+            onDrop: stream.fail,
+        });
+        // the frame was dropped right away
+        if (stream.closed) return () => {};
+
+        stream.frame = { id: messageId, method, payload: data, stream: true };
+        stream.handle = ({ data: responseData, end, error, message, code, details }) => {
+            if (error) {
+                stream.fail(new WSRemoteError(message, { method, id: messageId, code, details }));
+            } else if (end) {
+                finish();
+                if (onEnd) onEnd();
+            } else {
                 callback(responseData);
             }
-        });
+        };
+        this.streams.set(messageId, stream);
+        this.pending.set(messageId, stream);
         // Return a function to stop listening to the stream
-        return () => this.removeListener(listener);
+        return () => {
+            if (stream.closed) return;
+            finish();
+            this._cancel(messageId, stream.socket);
+        };
+    }
+
+    /**
+     * Withdraws a request: drops it from the outgoing queue if it is still there, otherwise stops
+     * its upload and asks the server to cancel it, provided it went out on the current socket.
+     * @private
+     * @param {string} messageId - The ID of the request.
+     * @param {WebSocket} [socket] - The socket the request was written to.
+     */
+    _cancel(messageId, socket) {
+        const queued = this.queue.find(entry => entry.frame.id === messageId);
+        if (queued) {
+            clearTimeout(queued.timer);
+            this.queue = this.queue.filter(entry => entry !== queued);
+        } else if (this.isOpen && socket === this.socket) {
+            this._chunker.abort(messageId);
+            this._sendFrame({ id: messageId, cancel: true });
+        }
+    }
+
+    /**
+     * Subscribes to a topic the server publishes to (see the server's `topics` option). By default
+     * only messages published from now on are received; `from` and `last` replay earlier ones.
+     *
+     * The callback is called with each message's data and `{ topic, offset, ack }`, one message at a
+     * time. A message is acknowledged when its callback returns (or its promise resolves), or, with
+     * `ack: false`, when the callback calls `ack`. Acknowledging a message also acknowledges the ones
+     * before it. Messages left unacknowledged when the connection drops are delivered again once the
+     * client reconnects.
+     * @async
+     * @param {string} topic - The topic name.
+     * @param {function} callback - Function to call with each message.
+     * @param {Object} [options] - Subscription options.
+     * @param {number} [options.from] - Start with the message at this offset.
+     * @param {number} [options.last] - Start with this many of the latest messages.
+     * @param {boolean} [options.ack=true] - Acknowledge each message once its callback is done.
+     * @param {function} [options.onError] - Called with the errors thrown by the callback, and with the
+     * error if subscribing again after a reconnect fails.
+     * @returns {Promise<function>} Resolves once subscribed, with a function that unsubscribes.
+     * @throws {WSError} If the client is already subscribed to the topic.
+     * @throws {WSRemoteError} If the server refuses the subscription, with code `TOPIC_NOT_FOUND` for a topic
+     * it does not know.
+     */
+    async subscribe(topic, callback, { from, last, ack = true, onError } = {}) {
+        if (this.topics.has(topic)) {
+            throw new WSError(`Already subscribed to topic ${topic}`, { code: 'INVALID_REQUEST' });
+        }
+        if (!this.consumer) this.consumer = this._randomConsumer();
+        const subscription = { topic, callback, ack, onError, position: 0, active: false, queue: Promise.resolve() };
+        this.topics.set(topic, subscription);
+        const payload = { topic, consumer: this.consumer };
+        if (from !== undefined) payload.from = from;
+        if (last !== undefined) payload.last = last;
+        try {
+            await this.send('topics.subscribe', payload);
+        } catch (err) {
+            if (this.topics.get(topic) === subscription) this.topics.delete(topic);
+            throw err;
+        }
+        subscription.active = true;
+        return () => {
+            if (this.topics.get(topic) !== subscription) return;
+            this.topics.delete(topic);
+            this.notify('topics.unsubscribe', { topic });
+        };
     }
 
     /**
-     * Registers a callback to be called when the connection is established.
+     * Opens a stream that can be consumed with `for await`.
+     * @param {string} method - The method name or type of message.
+     * @param {any} data - The payload to send.
+     * @param {Object} [options] - Buffering options.
+     * @param {number} [options.bufferSize=100] - Maximum number of unconsumed items to keep.
+     * @param {string} [options.overflow='drop-oldest'] - `drop-oldest`, `drop-newest` or `error`.
+     * @returns {WSStreamIterator} An async iterable over the stream's items.
+     */
+    iterate(method, data, options) {
+        return new WSStreamIterator(this, method, data, options);
+    }
+
+    /**
+     * Registers a callback to be called whenever the connection is established.
+     * Shorthand for `on('open', callback)`.
      * @param {function} callback - The function to call on connect.
+     * @returns {function} Function to remove the callback.
      */
     onConnect(callback) {
-        this.onConnectCallback = callback;
+        return this.on('open', callback);
+    }
+
+    /**
+     * Registers a listener for a client event (`statechange`, `open`, `disconnect`, `reconnect` or
+     * `error`), for an event pushed by the server, or a handler for a method the server can call.
+     * @param {string} event - The event name.
+     * @param {function} listener - The function to call when the event is emitted.
+     * @returns {function} Function to remove the listener.
+     */
+    on(event, listener) {
+        if (!this.eventListeners.has(event)) {
+            this.eventListeners.set(event, []);
+        }
+        this.eventListeners.get(event).push(listener);
+        return () => this.off(event, listener);
+    }
+
+    /**
+     * Removes a listener registered with `on`.
+     * @param {string} event - The event name.
+     * @param {function} listener - The listener to remove.
+     */
+    off(event, listener) {
+        const listeners = this.eventListeners.get(event);
+        if (!listeners) return;
+        this.eventListeners.set(event, listeners.filter(l => l !== listener));
+    }
+
+    /**
+     * Calls every listener registered for an event.
+     * @private
+     * @param {string} event - The event name.
+     * @param {...any} args - Arguments passed to the listeners.
+     */
+    emit(event, ...args) {
+        (this.eventListeners.get(event) || []).forEach(listener => {
+            try {
+                listener(...args);
+            } catch (e) {
+                console.error('Listener error:', e);
+            }
+        });
+    }
+
+    /**
+     * Number of requests and streams waiting for an answer.
+     * @type {number}
+     */
+    get pendingCount() {
+        return this.pending.size;
     }
 
     /**
      * Adds a listener for incoming WebSocket messages.
-     * @param {function} listener - The function to call on each message event.
+     * @param {function} listener - The function to call on each message event. Besides the raw `data`,
+     * the event holds the decoded native `frame`.
      * @returns {function} The listener function (for removal).
      */
     addListener(listener) {
@@ -209,10 +1061,31 @@ export default class WSClient {
     }
 
     /**
-     * Closes the WebSocket connection and prevents further reconnects.
+     * Drops every queued message, reporting the error to its sender.
+     * @private
+     * @param {WSError} error - The reason the messages are dropped.
+     */
+    _dropQueue(error) {
+        const queue = this.queue;
+        this.queue = [];
+        queue.forEach(({ timer, onDrop }) => {
+            clearTimeout(timer);
+            if (onDrop) onDrop(error);
+        });
+    }
+
+    /**
+     * Closes the WebSocket connection and prevents further reconnects. Queued messages are dropped, and
+     * requests and streams still waiting for answers fail with a `CONNECTION_CLOSED` error.
      */
     close() {
         this._shouldReconnect = false;
+        clearTimeout(this._reconnectTimer);
+        this._stopHeartbeat();
+        this._setState('closed');
+        const error = new WSError('Connection closed', { code: 'CONNECTION_CLOSED' });
+        this._dropQueue(error);
+        this._failAll(error);
         if (this.socket) {
             this.socket.close();
         }
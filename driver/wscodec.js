@@ -0,0 +1,346 @@
+/**
+ * Message codecs. A codec turns the messages built by the protocol into what is sent over the
+ * socket, and back. Codecs are negotiated per connection through the WebSocket subprotocol, which
+ * carries the codec name.
+ *
+ * A codec implements:
+ * - `name`: the subprotocol name;
+ * - `binary`: whether it produces binary frames;
+ * - `encode(value)`: a string (sent as a text frame) or a Uint8Array (sent as a binary frame);
+ * - `decode(data)`: the value for a received string, Buffer, ArrayBuffer or Uint8Array.
+ */
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Encodes messages as JSON text frames. This is the default, and what clients that do not
+ * negotiate a codec speak.
+ *
+ * @class JsonCodec
+ */
+export class JsonCodec {
+
+    name = 'json';
+    binary = false;
+
+    /**
+     * @param {any} value - The message.
+     * @returns {string} The JSON text.
+     */
+    encode(value) {
+        return JSON.stringify(value);
+    }
+
+    /**
+     * @param {string|ArrayBuffer|Uint8Array} data - The received data.
+     * @returns {any} The message.
+     * @throws {SyntaxError} If the data is not valid JSON.
+     */
+    decode(data) {
+        return JSON.parse(typeof data === 'string' ? data : textDecoder.decode(data));
+    }
+}
+
+// Type tags of the binary format. Integers from 0 to 127 are written as a single byte.
+const TAG = {
+    NULL: 0xc0,
+    UNDEFINED: 0xc1,
+    FALSE: 0xc2,
+    TRUE: 0xc3,
+    BYTES: 0xc4,
+    FLOAT64: 0xcb,
+    INT8: 0xd0,
+    INT16: 0xd1,
+    INT32: 0xd2,
+    BIGINT: 0xd3,
+    DATE: 0xd6,
+    STRING: 0xd9,
+    ARRAY: 0xdc,
+    SET: 0xdd,
+    OBJECT: 0xde,
+    MAP: 0xdf,
+};
+
+/**
+ * Growable byte buffer the binary codec writes to.
+ * @private
+ */
+class Writer {
+
+    constructor() {
+        this.bytes = new Uint8Array(256);
+        this.view = new DataView(this.bytes.buffer);
+        this.length = 0;
+    }
+
+    reserve(size) {
+        if (this.length + size <= this.bytes.length) return;
+        let capacity = this.bytes.length * 2;
+        while (capacity < this.length + size) capacity *= 2;
+        const bytes = new Uint8Array(capacity);
+        bytes.set(this.bytes.subarray(0, this.length));
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer);
+    }
+
+    uint8(value) {
+        this.reserve(1);
+        this.bytes[this.length++] = value;
+    }
+
+    // Unsigned LEB128, used for lengths
+    varint(value) {
+        while (value >= 0x80) {
+            this.uint8((value % 0x80) | 0x80);
+            value = Math.floor(value / 0x80);
+        }
+        this.uint8(value);
+    }
+
+    number(setter, size, value) {
+        this.reserve(size);
+        this.view[setter](this.length, value);
+        this.length += size;
+    }
+
+    raw(bytes) {
+        this.varint(bytes.length);
+        this.reserve(bytes.length);
+        this.bytes.set(bytes, this.length);
+        this.length += bytes.length;
+    }
+
+    result() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+/**
+ * Cursor over the bytes the binary codec reads from.
+ * @private
+ */
+class Reader {
+
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.offset = 0;
+    }
+
+    take(size) {
+        if (this.offset + size > this.bytes.length) {
+            throw new RangeError('Unexpected end of binary message');
+        }
+        const start = this.offset;
+        this.offset += size;
+        return start;
+    }
+
+    uint8() {
+        return this.bytes[this.take(1)];
+    }
+
+    varint() {
+        let value = 0;
+        let scale = 1;
+        let byte;
+        do {
+            byte = this.uint8();
+            value += (byte & 0x7f) * scale;
+            scale *= 0x80;
+        } while (byte & 0x80);
+        return value;
+    }
+
+    number(getter, size) {
+        return this.view[getter](this.take(size));
+    }
+
+    raw() {
+        const length = this.varint();
+        const start = this.take(length);
+        return this.bytes.slice(start, start + length);
+    }
+}
+
+/**
+ * Compact binary codec, sending messages as binary frames. Besides what JSON can hold it keeps
+ * `undefined`, BigInts, Dates, Maps, Sets and binary data (Buffers, ArrayBuffers and typed arrays,
+ * all decoded as Uint8Array), and writes small integers in fewer bytes.
+ *
+ * @class BinaryCodec
+ */
+export class BinaryCodec {
+
+    name = 'binary';
+    binary = true;
+
+    /**
+     * @param {any} value - The message.
+     * @returns {Uint8Array} The encoded bytes.
+     * @throws {TypeError} If the message holds a value the codec can not encode, such as a function.
+     */
+    encode(value) {
+        const writer = new Writer();
+        this.write(writer, value);
+        return writer.result();
+    }
+
+    /**
+     * @param {ArrayBuffer|Uint8Array} data - The received bytes.
+     * @returns {any} The message.
+     * @throws {TypeError|RangeError} If the data is not a valid binary message.
+     */
+    decode(data) {
+        if (typeof data === 'string') {
+            throw new TypeError('Binary codec received a text frame');
+        }
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        const reader = new Reader(bytes);
+        const value = this.read(reader);
+        if (reader.offset !== bytes.length) {
+            throw new RangeError('Unexpected data after binary message');
+        }
+        return value;
+    }
+
+    /**
+     * @private
+     * @param {Writer} writer - The buffer to write to.
+     * @param {any} value - The value to write.
+     */
+    write(writer, value) {
+        if (value === null) return writer.uint8(TAG.NULL);
+        if (value === undefined) return writer.uint8(TAG.UNDEFINED);
+        if (value === false) return writer.uint8(TAG.FALSE);
+        if (value === true) return writer.uint8(TAG.TRUE);
+
+        if (typeof value === 'number') {
+            if (Number.isInteger(value) && value >= 0 && value < 0x80) return writer.uint8(value);
+            if (Number.isInteger(value) && value >= -0x80 && value < 0x80) {
+                writer.uint8(TAG.INT8);
+                return writer.number('setInt8', 1, value);
+            }
+            if (Number.isInteger(value) && value >= -0x8000 && value < 0x8000) {
+                writer.uint8(TAG.INT16);
+                return writer.number('setInt16', 2, value);
+            }
+            if (Number.isInteger(value) && value >= -0x80000000 && value < 0x80000000) {
+                writer.uint8(TAG.INT32);
+                return writer.number('setInt32', 4, value);
+            }
+            writer.uint8(TAG.FLOAT64);
+            return writer.number('setFloat64', 8, value);
+        }
+        if (typeof value === 'bigint') {
+            writer.uint8(TAG.BIGINT);
+            return writer.raw(textEncoder.encode(value.toString()));
+        }
+        if (typeof value === 'string') {
+            writer.uint8(TAG.STRING);
+            return writer.raw(textEncoder.encode(value));
+        }
+        if (typeof value !== 'object') {
+            throw new TypeError(`Binary codec can not encode a ${typeof value}`);
+        }
+
+        if (value instanceof ArrayBuffer) {
+            writer.uint8(TAG.BYTES);
+            return writer.raw(new Uint8Array(value));
+        }
+        if (ArrayBuffer.isView(value)) {
+            writer.uint8(TAG.BYTES);
+            return writer.raw(new Uint8Array(value.buffer, value.byteOffset, value.byteLength));
+        }
+        if (value instanceof Date) {
+            writer.uint8(TAG.DATE);
+            return writer.number('setFloat64', 8, value.getTime());
+        }
+        if (Array.isArray(value) || value instanceof Set) {
+            writer.uint8(Array.isArray(value) ? TAG.ARRAY : TAG.SET);
+            writer.varint(Array.isArray(value) ? value.length : value.size);
+            value.forEach(item => this.write(writer, item));
+            return;
+        }
+        if (value instanceof Map) {
+            writer.uint8(TAG.MAP);
+            writer.varint(value.size);
+            value.forEach((item, key) => {
+                this.write(writer, key);
+                this.write(writer, item);
+            });
+            return;
+        }
+        const entries = Object.entries(value);
+        writer.uint8(TAG.OBJECT);
+        writer.varint(entries.length);
+        entries.forEach(([key, item]) => {
+            writer.raw(textEncoder.encode(key));
+            this.write(writer, item);
+        });
+    }
+
+    /**
+     * @private
+     * @param {Reader} reader - The bytes to read from.
+     * @returns {any} The value read.
+     */
+    read(reader) {
+        const tag = reader.uint8();
+        if (tag < 0x80) return tag;
+        switch (tag) {
+            case TAG.NULL: return null;
+            case TAG.UNDEFINED: return undefined;
+            case TAG.FALSE: return false;
+            case TAG.TRUE: return true;
+            case TAG.INT8: return reader.number('getInt8', 1);
+            case TAG.INT16: return reader.number('getInt16', 2);
+            case TAG.INT32: return reader.number('getInt32', 4);
+            case TAG.FLOAT64: return reader.number('getFloat64', 8);
+            case TAG.BIGINT: return BigInt(textDecoder.decode(reader.raw()));
+            case TAG.STRING: return textDecoder.decode(reader.raw());
+            case TAG.BYTES: return reader.raw();
+            case TAG.DATE: return new Date(reader.number('getFloat64', 8));
+            case TAG.ARRAY:
+            case TAG.SET: {
+                const items = Array.from({ length: reader.varint() }, () => this.read(reader));
+                return tag === TAG.SET ? new Set(items) : items;
+            }
+            case TAG.MAP: {
+                const map = new Map();
+                for (let count = reader.varint(); count > 0; count--) {
+                    const key = this.read(reader);
+                    map.set(key, this.read(reader));
+                }
+                return map;
+            }
+            case TAG.OBJECT: {
+                const object = {};
+                for (let count = reader.varint(); count > 0; count--) {
+                    const key = textDecoder.decode(reader.raw());
+                    // an own property, like JSON.parse creates, rather than a prototype change
+                    Object.defineProperty(object, key, {
+                        value: this.read(reader), enumerable: true, writable: true, configurable: true,
+                    });
+                }
+                return object;
+            }
+            default:
+                throw new TypeError(`Unknown binary type tag 0x${tag.toString(16)}`);
+        }
+    }
+}
+
+/**
+ * Returns the codec for a codec option.
+ * @param {string|Object} [codec='json'] - `json`, `binary` or a codec object.
+ * @returns {Object} The codec.
+ * @throws {Error} If the codec name is unknown.
+ */
+export function createCodec(codec = 'json') {
+    if (typeof codec === 'object') return codec;
+    if (codec === 'json') return new JsonCodec();
+    if (codec === 'binary') return new BinaryCodec();
+    throw new Error(`Unknown codec "${codec}"`);
+}
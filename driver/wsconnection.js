@@ -0,0 +1,163 @@
+import { randomUUID } from 'crypto';
+import Pledge from '../helper/pledge.js';
+import { WSRemoteError } from './wserror.js';
+import { NativeProtocol } from './wsprotocol.js';
+import { JsonCodec } from './wscodec.js';
+import WSChunker from './wschunker.js';
+
+/**
+ * Server-side wrapper around a client socket. Holds what the server knows about the caller (an ID,
+ * the authenticated user, the remote address and free-form `state` for handlers to share) and keeps
+ * track of the requests it has in progress so they can be cancelled by the client or aborted when
+ * the socket goes away.
+ *
+ * The server can also call methods the client registered with `WSClient.on`, through `send`.
+ *
+ * @class WSConnection
+ */
+export default class WSConnection {
+
+    /**
+     * Creates an instance of WSConnection.
+     * @constructor
+     * @param {WebSocket} socket - The client WebSocket connection.
+     * @param {http.IncomingMessage} [request] - The HTTP upgrade request.
+     * @param {Object} [options] - Wire format options.
+     * @param {Object} [options.protocol] - The protocol adapter. Defaults to the native protocol.
+     * @param {Object} [options.codec] - The codec negotiated with the client. Defaults to JSON.
+     * @param {number} [options.chunkSize] - Split messages longer than this into chunks. See WSChunker.
+     * @param {number} [options.maxMessageSize] - Largest chunked message accepted from the client.
+     * @param {number} [options.maxTransfers] - Chunked messages the client may be sending at once.
+     */
+    constructor(socket, request, {
+        protocol = new NativeProtocol(), codec = new JsonCodec(), chunkSize, maxMessageSize, maxTransfers,
+    } = {}) {
+        this.id = randomUUID();
+        this.socket = socket;
+        this.request = request;
+        this.protocol = protocol;
+        this.codec = codec;
+        this.chunker = new WSChunker({
+            codec, chunkSize, maxSize: maxMessageSize, maxTransfers, send: (message) => socket.send(message),
+        });
+        this.remoteAddress = request?.socket?.remoteAddress;
+        this.user = null;
+        this.state = {};
+        this.authenticated = true;
+        this.rooms = new Set();
+        this.subscriptions = new Set(); // Names of the topics the client is subscribed to
+        this.requests = new Map(); // Client requests being handled, by request ID
+        this.pending = new Map(); // Server requests waiting for the client to answer, by request ID
+        this.missedPongs = 0;
+        this.buckets = new Map(); // Rate limit token buckets, by limit key
+        this.violations = { count: 0, since: 0 }; // Limit violations in the current window
+        this.interceptors = new Set(); // Functions that may take frames before they are sent, see write()
+    }
+
+    /**
+     * Pings the client, or terminates the socket if too many pings went unanswered.
+     * @param {number} maxMissed - Number of unanswered pings tolerated.
+     */
+    heartbeat(maxMissed) {
+        if (this.missedPongs >= maxMissed) {
+            this.socket.terminate();
+            return;
+        }
+        this.missedPongs++;
+        this.socket.ping();
+    }
+
+    /**
+     * Encodes a frame with the protocol and the codec, and sends it to the client. An interceptor returning true takes the
+     * frame instead, which is how the answers to a batch are gathered into a single message.
+     * @param {Object|Array<Object>} frame - The frame, or a batch of frames, to send.
+     */
+    write(frame) {
+        if (!Array.isArray(frame)) {
+            for (const intercept of this.interceptors) {
+                if (intercept(frame)) return;
+            }
+        }
+        const message = this.protocol.encode(frame);
+        if (message === undefined) return;
+        this.chunker.send(this.codec.encode(message), { id: Array.isArray(frame) ? undefined : frame.id });
+    }
+
+    /**
+     * Pushes an event to the client.
+     * @param {string} event - The event name.
+     * @param {any} data - The event data.
+     */
+    emit(event, data) {
+        this.write({ event, data });
+    }
+
+    /**
+     * Calls a method registered on the client and waits for its answer.
+     * @async
+     * @param {string} method - The client method name.
+     * @param {any} data - The payload to send.
+     * @param {Object} [options] - Request options.
+     * @param {number} [options.timeout] - Milliseconds to wait for the answer before rejecting.
+     * @returns {Promise<any>} Resolves with the data returned by the client.
+     * @throws {WSRemoteError} If the client replies with an error envelope.
+     */
+    async send(method, data, { timeout } = {}) {
+        const id = randomUUID();
+        const pledge = new Pledge();
+        this.pending.set(id, { method, pledge });
+        try {
+            this.write({ id, method, payload: data });
+            return await (timeout ? pledge.timeout(timeout) : pledge.get());
+        } finally {
+            this.pending.delete(id);
+        }
+    }
+
+    /**
+     * Settles the server request a client frame answers.
+     * @param {Object} frame - The parsed response frame.
+     * @returns {boolean} Whether the frame answered a pending request.
+     */
+    handleResponse({ id, data, error, message, code, details }) {
+        const request = this.pending.get(id);
+        if (!request) return false;
+        if (error) {
+            request.pledge.reject(new WSRemoteError(message, { method: request.method, id, code, details }));
+        } else {
+            request.pledge.resolve(data);
+        }
+        return true;
+    }
+
+    /**
+     * Rejects every server request still waiting for an answer. Called when the socket closes.
+     * @param {Error} reason - The rejection reason.
+     */
+    failPending(reason) {
+        this.pending.forEach(({ pledge }) => pledge.reject(reason));
+    }
+
+    /**
+     * Aborts a request in progress, firing the abort signal given to its handler and dropping
+     * answers still being sent in chunks.
+     * @param {string} id - The ID of the request.
+     * @param {any} [reason] - The abort reason.
+     */
+    cancel(id, reason) {
+        this.chunker.abort(id);
+        const controller = this.requests.get(id);
+        if (!controller) return;
+        this.requests.delete(id);
+        controller.abort(reason);
+    }
+
+    /**
+     * Aborts every request in progress and every chunked transfer. Called when the socket closes.
+     * @param {any} [reason] - The abort reason.
+     */
+    cancelAll(reason) {
+        this.chunker.abortAll();
+        [...this.requests.keys()].forEach((id) => this.cancel(id, reason));
+    }
+}
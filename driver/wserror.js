@@ -0,0 +1,81 @@
+/**
+ * Error with a machine-readable code, used for structured error replies between server and client.
+ * Throw (or reject with) a WSError from a WSServer method handler to control the error sent back.
+ *
+ * @class WSError
+ * @extends Error
+ */
+export class WSError extends Error {
+
+    /**
+     * Creates an instance of WSError.
+     * @constructor
+     * @param {string} message - Human-readable error message.
+     * @param {Object} [options] - Additional error information.
+     * @param {string} [options.code='INTERNAL_ERROR'] - Machine-readable error code.
+     * @param {any} [options.details] - Optional extra data describing the error.
+     */
+    constructor(message, { code = 'INTERNAL_ERROR', details } = {}) {
+        super(message);
+        this.name = 'WSError';
+        this.code = code;
+        this.details = details;
+    }
+
+    /**
+     * Builds the error envelope sent over the wire for a given request.
+     * @param {string} [id] - The ID of the failed request.
+     * @returns {Object} The error envelope.
+     */
+    toEnvelope(id) {
+        return { error: true, code: this.code, message: this.message, details: this.details, id };
+    }
+}
+
+/**
+ * Error raised on the client when the server answers a request with an error envelope.
+ *
+ * @class WSRemoteError
+ * @extends WSError
+ */
+export class WSRemoteError extends WSError {
+
+    /**
+     * Creates an instance of WSRemoteError.
+     * @constructor
+     * @param {string} message - The error message sent by the server.
+     * @param {Object} [options] - Additional error information.
+     * @param {string} [options.method] - The method that was called.
+     * @param {string} [options.id] - The ID of the failed request.
+     * @param {string} [options.code] - The error code sent by the server.
+     * @param {any} [options.details] - The error details sent by the server.
+     */
+    constructor(message, { method, id, code, details } = {}) {
+        super(message, { code, details });
+        this.name = 'WSRemoteError';
+        this.method = method;
+        this.id = id;
+    }
+}
+
+/**
+ * Error a request is rejected with when the AbortSignal passed to `WSClient.send` fires.
+ *
+ * @class AbortError
+ * @extends WSError
+ */
+export class AbortError extends WSError {
+
+    /**
+     * Creates an instance of AbortError.
+     * @constructor
+     * @param {string} [message='Request aborted'] - Human-readable error message.
+     * @param {Object} [options] - Additional error information.
+     * @param {any} [options.reason] - The reason the signal was aborted with.
+     */
+    constructor(message = 'Request aborted', { reason } = {}) {
+        super(message, { code: 'CANCELLED' });
+        this.name = 'AbortError';
+        this.reason = reason;
+    }
+}
@@ -0,0 +1,142 @@
+import Pledge from '../helper/pledge.js';
+import { WSError } from './wserror.js';
+
+const OVERFLOW_POLICIES = ['drop-oldest', 'drop-newest', 'error'];
+
+/**
+ * Async iterator over a WSClient stream, built on top of `WSClient.stream`.
+ * Items that arrive faster than they are consumed are kept in a bounded buffer; when the buffer is
+ * full the overflow policy decides what happens to the next item. Leaving a `for await` loop early
+ * cancels the stream.
+ *
+ * @class WSStreamIterator
+ */
+export default class WSStreamIterator {
+
+    /**
+     * Creates an instance of WSStreamIterator. The stream is opened on the first call to `next`.
+     * @constructor
+     * @param {WSClient} client - The client used to open the stream.
+     * @param {string} method - The method name or type of message.
+     * @param {any} data - The payload to send.
+     * @param {Object} [options] - Buffering options.
+     * @param {number} [options.bufferSize=100] - Maximum number of unconsumed items to keep.
+     * @param {string} [options.overflow='drop-oldest'] - What to do when the buffer is full:
+     * `drop-oldest`, `drop-newest` or `error`.
+     */
+    constructor(client, method, data, { bufferSize = 100, overflow = 'drop-oldest' } = {}) {
+        if (!OVERFLOW_POLICIES.includes(overflow)) {
+            throw new TypeError(`Invalid overflow policy: ${overflow}`);
+        }
+        this.client = client;
+        this.method = method;
+        this.data = data;
+        this.bufferSize = bufferSize;
+        this.overflow = overflow;
+        this.buffer = [];
+        this.dropped = 0;
+        this.done = false;
+        this.error = null;
+        this.waiting = null;
+        this.started = null;
+        this.stop = null;
+    }
+
+    /**
+     * Opens the underlying stream.
+     * @private
+     */
+    start() {
+        this.started = this.client.stream(this.method, this.data, (item) => this.push(item), {
+            onEnd: () => this.finish(),
+            onError: (err) => this.finish(err),
+        }).then((stop) => {
+            this.stop = stop;
+            if (this.done) stop();
+        }, (err) => this.finish(err));
+    }
+
+    /**
+     * Delivers an incoming item to a waiting consumer, or buffers it.
+     * @private
+     * @param {any} item - The received item.
+     */
+    push(item) {
+        if (this.done) return;
+        if (this.waiting) {
+            const waiting = this.waiting;
+            this.waiting = null;
+            waiting.resolve({ value: item, done: false });
+            return;
+        }
+        if (this.buffer.length >= this.bufferSize) {
+            this.dropped++;
+            if (this.overflow === 'drop-newest') return;
+            if (this.overflow === 'error') {
+                this.finish(new WSError('Stream buffer overflow', { code: 'BUFFER_OVERFLOW' }));
+                if (this.stop) this.stop();
+                return;
+            }
+            this.buffer.shift();
+        }
+        this.buffer.push(item);
+    }
+
+    /**
+     * Marks the stream as finished, optionally with an error.
+     * @private
+     * @param {Error} [err] - The error that ended the stream.
+     */
+    finish(err) {
+        if (this.done) return;
+        this.done = true;
+        const waiting = this.waiting;
+        this.waiting = null;
+        if (err && waiting) {
+            waiting.reject(err);
+        } else if (err) {
+            this.error = err;
+        } else if (waiting) {
+            waiting.resolve({ value: undefined, done: true });
+        }
+    }
+
+    /**
+     * Returns the next item of the stream.
+     * @async
+     * @returns {Promise<{value: any, done: boolean}>} The iterator result.
+     */
+    async next() {
+        if (!this.started) this.start();
+        if (this.buffer.length) {
+            return { value: this.buffer.shift(), done: false };
+        }
+        if (this.error) {
+            const error = this.error;
+            this.error = null;
+            throw error;
+        }
+        if (this.done) {
+            return { value: undefined, done: true };
+        }
+        this.waiting = new Pledge();
+        return this.waiting.get();
+    }
+
+    /**
+     * Stops iterating and cancels the stream. Called automatically when a `for await` loop exits early.
+     * @async
+     * @returns {Promise<{value: undefined, done: true}>} The final iterator result.
+     */
+    async return() {
+        this.buffer = [];
+        this.error = null;
+        this.finish();
+        if (this.stop) this.stop();
+        return { value: undefined, done: true };
+    }
+
+    [Symbol.asyncIterator]() {
+        return this;
+    }
+}
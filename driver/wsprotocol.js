@@ -0,0 +1,193 @@
+/**
+ * Wire protocol adapters. WSServer and WSClient work with frames in the native format
+ * (`{ id, method, payload }`, `{ id, data }`, error envelopes, ...); a protocol translates those
+ * frames to and from the messages actually exchanged with the other side.
+ *
+ * A protocol implements:
+ * - `encode(frame)`: the message to send for a frame, or undefined to send nothing;
+ * - `decode(message)`: the frame for a received message;
+ * - `isBatch(message)`: whether a received message holds several messages to decode one by one;
+ * - `streams` and `batches`: whether the protocol can carry streams, and batches of requests.
+ */
+
+/**
+ * The default protocol: frames are sent as they are.
+ *
+ * @class NativeProtocol
+ */
+export class NativeProtocol {
+
+    name = 'native';
+    streams = true;
+    batches = false;
+
+    /**
+     * @param {Object|Array<Object>} frame - The frame, or a batch of frames, to send.
+     * @returns {Object|Array<Object>} The message to send.
+     */
+    encode(frame) {
+        return frame;
+    }
+
+    /**
+     * @param {Object} message - The received message.
+     * @returns {Object} The frame.
+     */
+    decode(message) {
+        return message;
+    }
+
+    /**
+     * @returns {boolean} Always false, the native protocol has no batches.
+     */
+    isBatch() {
+        return false;
+    }
+}
+
+// JSON-RPC error codes for the WSError codes the specification defines
+const ERROR_CODES = {
+    PARSE_ERROR: -32700,
+    INVALID_REQUEST: -32600,
+    METHOD_NOT_FOUND: -32601,
+    INVALID_PARAMS: -32602,
+    INTERNAL_ERROR: -32603,
+};
+// Error code used for the other WSError codes, which travel in `error.data.code`
+const SERVER_ERROR = -32000;
+// Errors worth reporting even though the request they answer has no ID
+const UNIDENTIFIED_ERRORS = ['PARSE_ERROR', 'INVALID_REQUEST', 'MESSAGE_TOO_LARGE'];
+
+/**
+ * JSON-RPC 2.0 protocol. Requests are sent as `{ jsonrpc, method, params, id }` and answered with
+ * `{ jsonrpc, result, id }` or `{ jsonrpc, error: { code, message, data }, id }`; requests without
+ * an ID are notifications and get no answer. Arrays of messages are batches.
+ *
+ * WSError codes defined by the specification are mapped to their numeric codes, with the error
+ * details as `data`. Other string codes are sent as -32000 with `data: { code, details }`, and
+ * numeric codes are sent as they are. Events pushed by the server are notifications named after
+ * the event. Heartbeats and cancellation use the `rpc.ping`, `rpc.pong` and `rpc.cancel`
+ * notifications. Streams have no JSON-RPC equivalent: a request gets a single answer, a `null`
+ * result when its handler returns nothing.
+ *
+ * @class JsonRpcProtocol
+ */
+export class JsonRpcProtocol {
+
+    name = 'jsonrpc';
+    streams = false;
+    batches = true;
+
+    /**
+     * @param {Object|Array<Object>} frame - The frame, or a batch of frames, to send.
+     * @returns {Object|Array<Object>|undefined} The JSON-RPC message, or undefined when the frame has no
+     * JSON-RPC equivalent or answers a notification.
+     */
+    encode(frame) {
+        if (Array.isArray(frame)) {
+            const messages = frame.map(item => this.encode(item)).filter(message => message !== undefined);
+            return messages.length ? messages : undefined;
+        }
+        const { id, method, payload, data, event, error, end, cancel, ping, pong } = frame;
+        if (ping !== undefined) return { jsonrpc: '2.0', method: 'rpc.ping', params: ping };
+        if (pong !== undefined) return { jsonrpc: '2.0', method: 'rpc.pong', params: pong };
+        if (cancel) return { jsonrpc: '2.0', method: 'rpc.cancel', params: { id } };
+        if (event !== undefined) return { jsonrpc: '2.0', method: event, params: data };
+        if (method !== undefined) {
+            return id === undefined
+                ? { jsonrpc: '2.0', method, params: payload }
+                : { jsonrpc: '2.0', method, params: payload, id };
+        }
+        if (error) {
+            if (id === undefined && !UNIDENTIFIED_ERRORS.includes(frame.code)) return undefined;
+            return { jsonrpc: '2.0', error: this.encodeError(frame), id: id === undefined ? null : id };
+        }
+        if (end || id === undefined) return undefined;
+        return { jsonrpc: '2.0', result: data === undefined ? null : data, id };
+    }
+
+    /**
+     * Builds the JSON-RPC error object for an error envelope.
+     * @private
+     * @param {Object} envelope - The error envelope.
+     * @returns {Object} The `{ code, message, data }` error object.
+     */
+    encodeError({ code, message, details }) {
+        const error = typeof code === 'number'
+            ? { code, message }
+            : code in ERROR_CODES
+                ? { code: ERROR_CODES[code], message }
+                : { code: SERVER_ERROR, message, data: { code, details } };
+        if (error.data === undefined && details !== undefined) error.data = details;
+        return error;
+    }
+
+    /**
+     * @param {Object} message - The received JSON-RPC message.
+     * @returns {Object} The frame. Messages that are not valid JSON-RPC decode to `{ id, invalid: true }`.
+     */
+    decode(message) {
+        if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0') {
+            return { id: this.validId(message?.id), invalid: true };
+        }
+        const { id, method, params, result, error } = message;
+        if (method !== undefined) {
+            if (typeof method !== 'string') return { id: this.validId(id), invalid: true };
+            if (id === undefined) {
+                if (method === 'rpc.ping') return { ping: params };
+                if (method === 'rpc.pong') return { pong: params };
+                if (method === 'rpc.cancel') return { id: params?.id, cancel: true };
+            }
+            return { id, method, payload: params };
+        }
+        if (error && typeof error === 'object') {
+            return { error: true, ...this.decodeError(error), id: id === null ? undefined : id };
+        }
+        if ('result' in message) return { id, data: result };
+        return { id: this.validId(id), invalid: true };
+    }
+
+    /**
+     * Turns a JSON-RPC error object back into the fields of an error envelope.
+     * @private
+     * @param {Object} error - The `{ code, message, data }` error object.
+     * @returns {Object} The envelope's `code`, `message` and `details`.
+     */
+    decodeError({ code, message, data }) {
+        if (code === SERVER_ERROR && typeof data?.code === 'string') {
+            return { code: data.code, message, details: data.details };
+        }
+        const name = Object.keys(ERROR_CODES).find(key => ERROR_CODES[key] === code);
+        return { code: name || code, message, details: data };
+    }
+
+    /**
+     * @private
+     * @param {any} id - A request ID as received.
+     * @returns {string|number|undefined} The ID if JSON-RPC allows it, otherwise undefined.
+     */
+    validId(id) {
+        return typeof id === 'string' || typeof id === 'number' ? id : undefined;
+    }
+
+    /**
+     * @param {any} message - The received message.
+     * @returns {boolean} Whether the message is a batch.
+     */
+    isBatch(message) {
+        return Array.isArray(message);
+    }
+}
+
+/**
+ * Returns the protocol adapter for a protocol option.
+ * @param {string|Object} [protocol='native'] - `native`, `jsonrpc` or a protocol object.
+ * @returns {Object} The protocol adapter.
+ * @throws {Error} If the protocol name is unknown.
+ */
+export function createProtocol(protocol = 'native') {
+    if (typeof protocol === 'object') return protocol;
+    if (protocol === 'native') return new NativeProtocol();
+    if (protocol === 'jsonrpc') return new JsonRpcProtocol();
+    throw new Error(`Unknown protocol "${protocol}"`);
+}
@@ -0,0 +1,115 @@
+import Schema from '../helper/schema.js';
+
+/**
+ * Groups method handlers so they can be mounted on a WSServer, or on another router, under a prefix.
+ *
+ * Method names are dot-separated: a router mounted as `users` answers `users.get` with its `get`
+ * handler. Names may contain `*`, which matches one or more characters, to register fallbacks such
+ * as `users.*` or the catch-all `*`. Exact names win over mounted routers, and mounted routers win
+ * over wildcards; among wildcards the one with the longest literal part is used.
+ *
+ * @class Router
+ */
+export default class Router {
+
+    /**
+     * Creates an empty router.
+     * @constructor
+     */
+    constructor() {
+        this.routes = new Map(); // Exact method name -> route
+        this.wildcards = []; // { pattern, regex, route }, most specific first
+        this.mounts = new Map(); // Prefix -> Router
+        this.middleware = [];
+    }
+
+    /**
+     * Registers a handler for a method name or wildcard pattern.
+     * @param {string} method - The method name, relative to where the router is mounted. May contain `*`.
+     * @param {function} callback - The function to call with the payload, a response callback and the request context.
+     * @param {Object} [options] - Method options.
+     * @param {Object|Schema|function} [options.schema] - Payload schema (a JSON-Schema subset, see Schema)
+     * or a validator function returning a list of errors or a boolean.
+     * @param {Object|Schema|function} [options.responseSchema] - Schema checked against each response
+     * when the server's `validateResponses` is on.
+     * @param {Array<function>} [options.use] - Middleware that only runs for this method.
+     * @returns {Router} The router, for chaining.
+     * @throws {Error} If a handler is already registered for the same name or pattern.
+     */
+    on(method, callback, { schema, responseSchema, use = [] } = {}) {
+        if (!method || typeof method !== 'string') {
+            throw new TypeError('Method name must be a non-empty string');
+        }
+        if (this.routes.has(method) || this.wildcards.some(({ pattern }) => pattern === method)) {
+            throw new Error(`Method "${method}" is already registered`);
+        }
+
+        const route = {
+            handler: callback,
+            validate: schema && Schema.validator(schema),
+            validateResponse: responseSchema && Schema.validator(responseSchema),
+            use,
+        };
+        if (!method.includes('*')) {
+            this.routes.set(method, route);
+            return this;
+        }
+
+        const source = method.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.+');
+        this.wildcards.push({ pattern: method, regex: new RegExp(`^${source}$`), route });
+        const literal = (pattern) => pattern.replace(/\*/g, '').length;
+        this.wildcards.sort((a, b) => literal(b.pattern) - literal(a.pattern));
+        return this;
+    }
+
+    /**
+     * Adds a middleware run for every method answered by this router, before the method's own middleware.
+     * @param {function} fn - The middleware, called as `fn(ctx, next)`.
+     * @returns {Router} The router, for chaining.
+     */
+    use(fn) {
+        this.middleware.push(fn);
+        return this;
+    }
+
+    /**
+     * Mounts another router under a prefix, so its `name` method is reachable as `prefix.name`.
+     * @param {string} prefix - The prefix, without the trailing dot.
+     * @param {Router} router - The router to mount.
+     * @returns {Router} The router, for chaining.
+     * @throws {Error} If another router is already mounted under the prefix.
+     */
+    mount(prefix, router) {
+        if (!(router instanceof Router)) {
+            throw new TypeError('Only a Router can be mounted');
+        }
+        if (this.mounts.has(prefix)) {
+            throw new Error(`A router is already mounted at "${prefix}"`);
+        }
+        this.mounts.set(prefix, router);
+        return this;
+    }
+
+    /**
+     * Finds the route answering a method name.
+     * @param {string} method - The full method name, relative to this router.
+     * @returns {Object|null} The route, with the middleware of the routers it went through prepended
+     * to its `use` list, or null when nothing matches.
+     */
+    resolve(method) {
+        let route = this.routes.get(method);
+        if (!route) {
+            for (const [prefix, router] of this.mounts) {
+                if (method.startsWith(`${prefix}.`)) {
+                    route = router.resolve(method.slice(prefix.length + 1));
+                    if (route) break;
+                }
+            }
+        }
+        if (!route) {
+            route = this.wildcards.find(({ regex }) => regex.test(method))?.route;
+        }
+        if (!route) return null;
+        return this.middleware.length ? { ...route, use: [...this.middleware, ...route.use] } : route;
+    }
+}
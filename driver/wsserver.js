@@ -1,8 +1,38 @@
 import { WebSocketServer } from 'ws';
+import WSConnection from './wsconnection.js';
+import Router from './wsrouter.js';
+import { createProtocol } from './wsprotocol.js';
+import { JsonCodec, createCodec } from './wscodec.js';
+import { WSError } from './wserror.js';
+import TokenBucket from '../helper/tokenbucket.js';
+import WSChunker from './wschunker.js';
+import Topic from './wstopic.js';
+import { createTopicLog } from './wstopiclog.js';
+
+// Payload schema of the topic methods
+const TOPIC_SCHEMA = {
+    type: 'object',
+    required: ['topic'],
+    properties: {
+        topic: { type: 'string', minLength: 1 },
+        from: { type: 'integer', minimum: 0 },
+        last: { type: 'integer', minimum: 0 },
+        offset: { type: 'integer', minimum: 0 },
+        consumer: { type: 'string', minLength: 1 },
+    },
+};
 
 /**
  * WebSocket Server for handling client connections, message routing, and method registration.
  *
+ * Besides answering requests, the server can push events to clients: to everyone with `broadcast`,
+ * or to a single connection or a named room with `to(target).emit(event, data)`. Pushed events are
+ * sent as `{ event, data }` frames.
+ *
+ * Messages published to a topic with `publish` are kept in the topic's log, so clients can replay
+ * them when they subscribe and get what they missed while disconnected. Clients can only subscribe
+ * to topics that were published to or declared in the `topics` option. See Topic.
+ *
  * @class WSServer
  */
 export default class WSServer {
@@ -10,55 +40,858 @@ export default class WSServer {
     /**
      * Initializes the WebSocket server and sets up connection handling.
      * @constructor
+     * @param {Object} [options] - Configuration options.
+     * @param {number} [options.port=8080] - Port to listen on. Ignored when `server` or `noServer` is set.
+     * @param {string} [options.host] - Hostname to bind to.
+     * @param {string} [options.path] - Only accept connections on this URL path.
+     * @param {http.Server} [options.server] - An existing HTTP(S) server to attach to.
+     * @param {boolean} [options.noServer=false] - Do not listen at all; upgrades are fed through `handleUpgrade`.
+     * @param {Object|boolean} [options.heartbeat=false] - Ping clients periodically and drop the ones that stop answering.
+     * @param {number} [options.heartbeat.interval=30000] - Milliseconds between pings.
+     * @param {number} [options.heartbeat.maxMissed=2] - Pings a client may leave unanswered before it is terminated.
+     * @param {function} [options.authenticate] - Decides whether a client may connect. See `runAuthenticate`.
+     * @param {boolean} [options.authMessage=false] - Authenticate with the client's first `auth` message
+     * instead of during the upgrade.
+     * @param {number} [options.authTimeout=10000] - Milliseconds a client has to send its `auth` message.
+     * @param {boolean} [options.validateResponses] - Check handler responses against their `responseSchema`.
+     * Defaults to true unless `NODE_ENV` is `production`.
+     * @param {Object|boolean} [options.rateLimit=false] - Per-connection limits. Requests over a limit get a
+     * `RATE_LIMITED` error; see `violate`.
+     * @param {number} [options.rateLimit.rate] - Messages per second a connection may send. Every chunk of a
+     * chunked message and every ping counts; topic acknowledgements do not, see `acks`.
+     * @param {number} [options.rateLimit.burst] - Messages a connection may send at once. Defaults to `rate`.
+     * @param {Object} [options.rateLimit.methods] - Per-method limits, as `{ [method]: { rate, burst } }`.
+     * @param {number} [options.rateLimit.maxInFlight] - Requests a connection may have in progress at once.
+     * @param {number} [options.rateLimit.maxMessageSize] - Largest message accepted, in bytes.
+     * @param {Object} [options.rateLimit.acks={ rate: 1000 }] - Limit of the topic acknowledgements a connection
+     * may send, as `{ rate, burst }`.
+     * @param {number} [options.rateLimit.maxTransfers=16] - Chunked messages a connection may be sending at once.
+     * @param {number} [options.rateLimit.maxViolations=10] - Violations within `violationWindow` after which
+     * the connection is closed.
+     * @param {number} [options.rateLimit.violationWindow=60000] - Milliseconds over which violations are counted.
+     * @param {string|Object} [options.protocol='native'] - Wire protocol: `native`, `jsonrpc` for JSON-RPC 2.0,
+     * or a protocol object (see wsprotocol.js).
+     * @param {Array<string|Object>} [options.codecs=['json', 'binary']] - Codecs clients may pick through
+     * the WebSocket subprotocol: `json`, `binary` or codec objects (see wscodec.js). Clients that do not
+     * ask for one use JSON.
+     * @param {number} [options.chunkSize] - Send messages longer than this (in characters, or bytes for binary
+     * codecs) in chunks, so large answers do not hold up other traffic. Chunked messages from clients are
+     * always accepted. See WSChunker.
+     * @param {Object|boolean} [options.topics=false] - Lets clients subscribe to the topics messages are
+     * published to, through the `topics.subscribe`, `topics.unsubscribe` and `topics.ack` methods.
+     * @param {number} [options.topics.maxLength=1000] - Messages kept per topic by the default in-memory log.
+     * @param {function} [options.topics.log] - Creates the log of a topic, called with the topic name, such
+     * as a FileLog (see wstopiclog.js).
+     * @param {Array<string>} [options.topics.names] - Topics clients may subscribe to before anything is
+     * published to them.
+     * @param {number} [options.topics.cursorTTL=300000] - Milliseconds the acknowledgements of a consumer are
+     * kept once it has no subscription left.
      */
-    constructor() {
-        this.ws = new WebSocketServer({ port: 8080 });
-        this.methodList = {};
+    constructor({
+        port = 8080, host, path, server, noServer = false, heartbeat = false,
+        authenticate, authMessage = false, authTimeout = 10000,
+        validateResponses = process.env.NODE_ENV !== 'production', rateLimit = false, protocol = 'native',
+        codecs = ['json', 'binary'], chunkSize, topics = false,
+    } = {}) {
+        const wsOptions = server ? { server } : noServer ? { noServer } : { port };
+        if (host && !server && !noServer) wsOptions.host = host;
+        if (path) wsOptions.path = path;
+        wsOptions.handleProtocols = (protocols) => this.selectCodec(protocols)?.name ?? false;
+        if (authenticate && !authMessage) {
+            wsOptions.verifyClient = (info, callback) => this.verifyClient(info, callback);
+        }
+
+        this.authenticate = authenticate;
+        this.authMessage = authMessage;
+        this.authTimeout = authTimeout;
+        this.authenticated = new WeakMap(); // Users accepted during the upgrade, by request
+
+        this.ws = new WebSocketServer(wsOptions);
+        this.router = new Router();
+        this.protocol = createProtocol(protocol);
+        this.codecs = codecs.map(createCodec);
+        this.chunkSize = chunkSize;
+        this.middleware = [];
+        this.errorHandler = null;
+        this.validateResponses = validateResponses;
+        this.rateLimit = rateLimit && {
+            methods: {}, acks: { rate: 1000 }, maxTransfers: 16, maxViolations: 10, violationWindow: 60000,
+            ...rateLimit,
+        };
+        this.inFlight = new Set();
+        this.isClosing = false;
+        this.connections = new Map(); // Open connections, by connection ID
+        this.rooms = new Map(); // Connections in each room, by room name
+        const topicOptions = topics === true ? {} : topics || {};
+        this.topics = new Map(); // Topics, by name
+        this.topicLog = createTopicLog(topicOptions);
+        this.cursorTTL = topicOptions.cursorTTL;
+        this.topicsEnabled = Boolean(topics);
+        if (topics) this.mount('topics', this.topicRouter());
+        (topicOptions.names || []).forEach((name) => this.topic(name));
+
+        this.ws.on('connection', (ws, request) => this.handleConnection(ws, request));
 
-        this.ws.on('connection', (ws) => {
-            ws.on('message', (message) => {
-                this.handleMessage(ws, message);
-            });
+        if (heartbeat) {
+            const { interval = 30000, maxMissed = 2 } = heartbeat === true ? {} : heartbeat;
+            this.heartbeatTimer = setInterval(() => {
+                this.connections.forEach((connection) => connection.heartbeat(maxMissed));
+            }, interval);
+        }
+    }
+
+    /**
+     * Runs the `authenticate` hook during the upgrade and accepts or rejects the connection.
+     * @private
+     * @param {Object} info - Upgrade information from `ws`.
+     * @param {http.IncomingMessage} info.req - The upgrade request.
+     * @param {function} callback - Called with the verdict, and the HTTP status and reason on rejection.
+     */
+    verifyClient({ req }, callback) {
+        this.runAuthenticate(req).then((user) => {
+            this.authenticated.set(req, user);
+            callback(true);
+        }, (err) => {
+            callback(false, err.status || 401, err.message || 'Unauthorized');
         });
     }
 
     /**
-     * Handles incoming messages from clients, routes to registered methods, and sends responses.
+     * Calls the `authenticate` hook with what is known about the client.
+     *
+     * The hook receives `{ request, headers, query, remoteAddress, credentials }`, where `credentials`
+     * is the payload of the `auth` message when `authMessage` is set. Returning a value accepts the
+     * client and stores the value as `connection.user`. Returning `false`, `null` or `undefined`
+     * rejects it; throwing rejects it too, with the error's `status` (401 by default) and message.
+     * @private
+     * @async
+     * @param {http.IncomingMessage} [request] - The upgrade request.
+     * @param {any} [credentials] - Credentials sent in the `auth` message.
+     * @returns {Promise<any>} The authenticated user.
+     * @throws {Error} If the client is rejected.
+     */
+    async runAuthenticate(request, credentials) {
+        const url = new URL(request?.url || '/', 'ws://localhost');
+        const user = await this.authenticate({
+            request,
+            headers: request?.headers || {},
+            query: Object.fromEntries(url.searchParams),
+            remoteAddress: request?.socket?.remoteAddress,
+            credentials,
+        });
+        if (user === false || user === null || user === undefined) {
+            throw new WSError('Unauthorized', { code: 'UNAUTHORIZED' });
+        }
+        return user;
+    }
+
+    /**
+     * Wraps a newly connected client socket and wires up its events.
      * @param {WebSocket} ws - The client WebSocket connection.
-     * @param {string} message - The received message as a string.
+     * @param {http.IncomingMessage} [request] - The HTTP upgrade request.
+     * @returns {WSConnection} The connection wrapper.
      */
-    handleMessage(ws, message) {
+    handleConnection(ws, request) {
+        const codec = this.selectCodec([ws.protocol]) || new JsonCodec();
+        const connection = new WSConnection(ws, request, {
+            protocol: this.protocol, codec, chunkSize: this.chunkSize,
+            maxMessageSize: this.rateLimit?.maxMessageSize, maxTransfers: this.rateLimit?.maxTransfers,
+        });
+        if (request && this.authenticated.has(request)) {
+            connection.user = this.authenticated.get(request);
+        }
+        if (this.authenticate && this.authMessage) {
+            connection.authenticated = false;
+            connection.authTimer = setTimeout(() => ws.close(4401, 'Authentication timeout'), this.authTimeout);
+        }
+        this.connections.set(connection.id, connection);
+        ws.on('message', (message) => {
+            this.handleMessage(connection, message);
+        });
+        ws.on('pong', () => {
+            connection.missedPongs = 0;
+        });
+        ws.on('close', () => {
+            clearTimeout(connection.authTimer);
+            this.connections.delete(connection.id);
+            [...connection.rooms].forEach((room) => this.leave(connection, room));
+            [...connection.subscriptions].forEach((name) => this.topics.get(name).unsubscribe(connection));
+            const reason = new WSError('Connection closed', { code: 'CONNECTION_CLOSED' });
+            connection.cancelAll(reason);
+            connection.failPending(reason);
+        });
+        return connection;
+    }
+
+    /**
+     * Picks the codec for a connection among the subprotocols the client asked for.
+     * @private
+     * @param {Iterable<string>} protocols - The subprotocols, in the client's order of preference.
+     * @returns {Object|undefined} The first codec the server supports, if any.
+     */
+    selectCodec(protocols) {
+        for (const name of protocols) {
+            const codec = this.codecs.find((candidate) => candidate.name === name);
+            if (codec) return codec;
+        }
+    }
+
+    /**
+     * Completes an HTTP upgrade request. Use with `noServer` to mount the server on an existing HTTP server.
+     * @param {http.IncomingMessage} request - The upgrade request.
+     * @param {stream.Duplex} socket - The network socket between the server and client.
+     * @param {Buffer} head - The first packet of the upgraded stream.
+     */
+    handleUpgrade(request, socket, head) {
+        if (this.isClosing || !this.ws.shouldHandle(request)) {
+            socket.destroy();
+            return;
+        }
+        this.ws.handleUpgrade(request, socket, head, (ws) => {
+            this.ws.emit('connection', ws, request);
+        });
+    }
+
+    /**
+     * Handles incoming messages from clients, routes to registered methods, and sends responses.
+     * A handler may answer through the `respond` callback (any number of times, e.g. for streaming)
+     * or by returning a value or a promise, which is sent back once it settles.
+     * A `{ id, cancel: true }` frame aborts the request with that ID, a `{ ping }` frame is
+     * answered with a `{ pong }` frame carrying the same value, and frames without a method answer
+     * requests the server sent with `WSConnection.send`. With `rateLimit` set, oversized messages and
+     * requests over a limit are rejected before they are routed.
+     * Messages are decoded with the connection's codec and the server's protocol first, and chunked
+     * messages are put back together; see `handleBatch` for batches.
+     * @param {WSConnection} connection - The client connection.
+     * @param {string|Buffer} message - The received message.
+     */
+    handleMessage(connection, message) {
+        const limits = this.rateLimit || {};
+        if (limits.maxMessageSize !== undefined && Buffer.byteLength(message) > limits.maxMessageSize) {
+            this.violate(connection, undefined, new WSError('Message too large', {
+                code: 'MESSAGE_TOO_LARGE', details: { maxMessageSize: limits.maxMessageSize },
+            }));
+            return;
+        }
         let parsed;
+        let charged = false;
         try {
-            parsed = JSON.parse(message);
+            parsed = connection.codec.decode(message);
+            // a chunk is handled once the whole message is there
+            if (WSChunker.isChunk(parsed)) {
+                if (limits.rate && !parsed.abort && !this.takeToken(connection, parsed.id, 'messages', limits)) {
+                    return;
+                }
+                const complete = connection.chunker.receive(parsed);
+                if (complete === undefined) return;
+                parsed = connection.codec.decode(complete);
+                charged = true;
+            }
         } catch (e) {
-            ws.send(JSON.stringify({ error: true, message: 'Malformed JSON', id: undefined }));
+            if (e instanceof WSError) {
+                this.violate(connection, parsed.id, e);
+                return;
+            }
+            const error = connection.codec.binary ? 'Malformed message' : 'Malformed JSON';
+            this.sendError(connection, undefined, new WSError(error, { code: 'PARSE_ERROR' }));
+            return;
+        }
+        if (this.protocol.isBatch(parsed)) {
+            this.handleBatch(connection, parsed);
+            return;
+        }
+        this.handleFrame(connection, this.protocol.decode(parsed), charged);
+    }
+
+    /**
+     * Handles a single decoded frame. See `handleMessage`.
+     * @private
+     * @param {WSConnection} connection - The client connection.
+     * @param {Object} frame - The decoded frame.
+     * @param {boolean} [charged=false] - Whether the message already took its rate limit tokens, as chunks.
+     */
+    handleFrame(connection, frame, charged = false) {
+        const limits = this.rateLimit || {};
+        // e.g. `null`, which both codecs decode
+        if (frame === null || typeof frame !== 'object' || Array.isArray(frame)) {
+            this.sendError(connection, undefined, new WSError('Invalid request', { code: 'INVALID_REQUEST' }));
+            return;
+        }
+        const { method, id, cancel, ping, invalid } = frame;
+        // topic acknowledgements come with every message received, so they have a bucket of their own
+        const ack = this.topicsEnabled && method === 'topics.ack' && id === undefined;
+        if (ack && limits.acks && !this.takeToken(connection, id, 'acks', limits.acks)) {
+            return;
+        }
+        if (limits.rate && !cancel && !charged && !ack && !this.takeToken(connection, id, 'messages', limits)) {
+            return;
+        }
+        if (ping !== undefined) {
+            connection.write({ pong: ping });
+            return;
+        }
+        if (invalid) {
+            this.sendError(connection, id, new WSError('Invalid request', { code: 'INVALID_REQUEST' }));
+            return;
+        }
+        if (!connection.authenticated) {
+            this.handleAuth(connection, frame);
+            return;
+        }
+        if (cancel) {
+            connection.cancel(id, new WSError('Request cancelled', { code: 'CANCELLED' }));
+            return;
+        }
+        if (ack) {
+            this.handleAck(connection, frame.payload);
+            return;
+        }
+        if (method === undefined && connection.handleResponse(frame)) {
             return;
         }
-        const { method, payload, id } = parsed;
         if (!method || typeof method !== 'string') {
-            ws.send(JSON.stringify({ error: true, message: 'Missing or invalid method', id }));
+            this.sendError(connection, id, new WSError('Missing or invalid method', { code: 'INVALID_REQUEST' }));
             return;
         }
-        if (this.methodList[method]) {
-            try {
-                this.methodList[method](payload, (data) => {
-                    ws.send(JSON.stringify({ id, data }));
-                });
-            } catch (err) {
-                ws.send(JSON.stringify({ error: true, message: 'Method handler error', id }));
+        if (limits.methods?.[method] && !this.takeToken(connection, id, `method:${method}`, limits.methods[method])) {
+            return;
+        }
+        if (limits.maxInFlight !== undefined && connection.requests.size >= limits.maxInFlight) {
+            this.violate(connection, id, new WSError('Too many requests in progress', {
+                code: 'RATE_LIMITED', details: { limit: 'inFlight', maxInFlight: limits.maxInFlight },
+            }));
+            return;
+        }
+        const route = this.router.resolve(method);
+        if (!route) {
+            this.sendError(connection, id, new WSError('Method not found', { code: 'METHOD_NOT_FOUND' }));
+            return;
+        }
+        this.dispatch(connection, route, frame);
+    }
+
+    /**
+     * Handles a batch of messages. Each one is handled as if it came on its own, but the answers to
+     * the requests with an ID are sent together in one message once they are all known. Requests
+     * without an ID (notifications) are not waited for.
+     * @private
+     * @param {WSConnection} connection - The client connection.
+     * @param {Array} messages - The messages in the batch.
+     */
+    handleBatch(connection, messages) {
+        if (!messages.length) {
+            this.sendError(connection, undefined, new WSError('Empty batch', { code: 'INVALID_REQUEST' }));
+            return;
+        }
+        const frames = messages.map((message) => this.protocol.decode(message));
+        const ids = new Set(frames
+            .filter(frame => frame !== null && typeof frame === 'object')
+            .filter(({ id, method, invalid }) => id !== undefined && (method !== undefined || invalid))
+            .map(({ id }) => id));
+        const answered = new Set();
+        const answers = [];
+        let collecting = true;
+
+        const flush = () => {
+            if (collecting || answered.size < ids.size) return;
+            connection.interceptors.delete(intercept);
+            if (answers.length) connection.write(answers);
+        };
+        // takes the first answer to each request, and errors about the batch entries themselves
+        const intercept = (frame) => {
+            const taken = frame.id === undefined
+                ? collecting && frame.error
+                : ids.has(frame.id) && !answered.has(frame.id) && frame.method === undefined;
+            if (!taken) return false;
+            if (frame.id !== undefined) answered.add(frame.id);
+            answers.push(frame);
+            flush();
+            return true;
+        };
+
+        connection.interceptors.add(intercept);
+        frames.forEach((frame) => this.handleFrame(connection, frame));
+        collecting = false;
+        flush();
+    }
+
+    /**
+     * Takes a token from one of the connection's rate limit buckets, creating it on first use.
+     * When the bucket is empty the request is rejected with a `RATE_LIMITED` error telling, in
+     * `details.retryAfter`, how many milliseconds to wait.
+     * @private
+     * @param {WSConnection} connection - The client connection.
+     * @param {string} id - The ID of the request being limited.
+     * @param {string} key - The bucket name: `messages`, `acks`, or `method:<name>` for a method limit.
+     * @param {Object} limit - The bucket `rate` and `burst`.
+     * @returns {boolean} Whether the request may go on.
+     */
+    takeToken(connection, id, key, { rate, burst }) {
+        let bucket = connection.buckets.get(key);
+        if (!bucket) {
+            bucket = new TokenBucket({ rate, burst });
+            connection.buckets.set(key, bucket);
+        }
+        if (bucket.take()) return true;
+        this.violate(connection, id, new WSError('Rate limit exceeded', {
+            code: 'RATE_LIMITED',
+            details: { limit: key.startsWith('method:') ? 'method' : key, retryAfter: bucket.retryAfter() },
+        }));
+        return false;
+    }
+
+    /**
+     * Rejects a request that broke a limit and counts the violation. A connection reaching
+     * `maxViolations` within `violationWindow` is closed with code 1008 (policy violation).
+     * @private
+     * @param {WSConnection} connection - The client connection.
+     * @param {string} id - The ID of the rejected request.
+     * @param {WSError} err - The error to send back.
+     */
+    violate(connection, id, err) {
+        this.sendError(connection, id, err);
+        const { maxViolations, violationWindow } = this.rateLimit;
+        const now = Date.now();
+        if (now - connection.violations.since > violationWindow) {
+            connection.violations = { count: 0, since: now };
+        }
+        connection.violations.count++;
+        if (connection.violations.count >= maxViolations) {
+            connection.socket.close(1008, 'Too many limit violations');
+        }
+    }
+
+    /**
+     * Handles frames from a client that still has to authenticate. Only an `auth` request is accepted;
+     * on failure the client gets an `UNAUTHORIZED` error and the socket is closed.
+     * @private
+     * @param {WSConnection} connection - The client connection.
+     * @param {Object} request - The parsed request frame.
+     */
+    handleAuth(connection, { id, method, payload }) {
+        if (method !== 'auth' || connection.authenticating) {
+            this.sendError(connection, id, new WSError('Authentication required', { code: 'UNAUTHORIZED' }));
+            return;
+        }
+        connection.authenticating = true;
+        this.runAuthenticate(connection.request, payload).then((user) => {
+            clearTimeout(connection.authTimer);
+            connection.user = user;
+            connection.authenticated = true;
+            connection.authenticating = false;
+            connection.write({ id, data: true });
+        }, (err) => {
+            const error = err instanceof WSError ? err : new WSError(err.message || 'Unauthorized', { code: 'UNAUTHORIZED' });
+            this.sendError(connection, id, error);
+            connection.socket.close(4401, 'Unauthorized');
+        });
+    }
+
+    /**
+     * Runs the middleware chain and the method handler for a request and relays the results to the client.
+     *
+     * The chain is: the middleware registered with `use`, payload validation, the route's own
+     * middleware and finally the handler. Middleware is called Koa-style as `fn(ctx, next)`; it may
+     * change `ctx.payload` before calling `next`, inspect or change `ctx.result` after it, or throw.
+     *
+     * The handler is called as `handler(payload, respond, ctx)`, where `respond` is `ctx.next` and
+     * `ctx` holds the request `id`, `method`, `payload`, the `connection` with its `connectionId`,
+     * `user`, `remoteAddress` and custom `state`, an abort `signal` (fired when the client cancels or
+     * disconnects) and the stream controls:
+     * - `next(data)` sends a `{ id, data }` frame;
+     * - `end()` sends `{ id, end: true }` and finishes the request;
+     * - `error(err)` sends an error envelope and finishes the request.
+     * The value the handler returns (or its promise resolves to) ends up in `ctx.result` and is sent
+     * once the chain completes, unless the handler already answered through `respond`.
+     *
+     * When the route has a response schema and `validateResponses` is on, every answer is checked and
+     * an invalid one is replaced by an `INVALID_RESPONSE` error.
+     * @private
+     * @param {WSConnection} connection - The client connection.
+     * @param {Object} route - The registered method: its `handler`, middleware and optional validators.
+     * @param {Object} request - The parsed request frame.
+     */
+    dispatch(connection, route, { id, method, payload, stream = false }) {
+        const { handler, validate, validateResponse, use = [] } = route;
+        const controller = new AbortController();
+        if (id !== undefined) connection.requests.set(id, controller);
+
+        let responded = false;
+        let done = false;
+        let handlerAsync = false;
+        const isDone = () => done || controller.signal.aborted;
+        const finish = () => {
+            done = true;
+            if (connection.requests.get(id) === controller) connection.requests.delete(id);
+        };
+
+        const ctx = {
+            id,
+            method,
+            payload,
+            result: undefined,
+            stream,
+            connection,
+            connectionId: connection.id,
+            user: connection.user,
+            remoteAddress: connection.remoteAddress,
+            state: connection.state,
+            signal: controller.signal,
+            next: (data) => {
+                if (isDone()) return;
+                if (validateResponse && this.validateResponses) {
+                    const errors = this.runValidator(validateResponse, data);
+                    if (errors.length) {
+                        console.error(`Invalid response from method ${method}:`, errors);
+                        ctx.error(new WSError('Invalid response', { code: 'INVALID_RESPONSE', details: errors }));
+                        return;
+                    }
+                }
+                responded = true;
+                connection.write({ id, data });
+                // a plain request is complete after its first answer
+                if (!stream && connection.requests.get(id) === controller) connection.requests.delete(id);
+            },
+            end: () => {
+                if (isDone()) return;
+                finish();
+                connection.write({ id, end: true });
+            },
+            error: (err) => {
+                if (isDone()) return;
+                finish();
+                this.sendError(connection, id, err, ctx);
+            },
+        };
+
+        const validation = (ctx, next) => {
+            const errors = validate ? this.runValidator(validate, ctx.payload) : [];
+            if (errors.length) {
+                throw new WSError('Invalid params', { code: 'INVALID_PARAMS', details: errors });
             }
+            return next();
+        };
+        const terminal = (ctx) => {
+            const result = handler(ctx.payload, ctx.next, ctx);
+            if (result && typeof result.then === 'function') {
+                handlerAsync = true;
+                return Promise.resolve(result).then((data) => { ctx.result = data; });
+            }
+            ctx.result = result;
+        };
+        // an async handler that resolves without answering still completes a plain request, and so does
+        // any handler under a protocol without streams, which must answer every request (JSON-RPC)
+        const reply = () => {
+            if (responded || isDone()) return;
+            const complete = handlerAsync || (!this.protocol.streams && id !== undefined);
+            if (ctx.result !== undefined || (complete && !stream)) {
+                ctx.next(ctx.result);
+                finish();
+            }
+        };
+
+        let result;
+        try {
+            result = this.compose([...this.middleware, validation, ...use, terminal])(ctx);
+        } catch (err) {
+            ctx.error(err);
+            return;
+        }
+
+        if (result && typeof result.then === 'function') {
+            const pending = Promise.resolve(result)
+                .then(reply, (err) => ctx.error(err))
+                .finally(() => this.inFlight.delete(pending));
+            this.inFlight.add(pending);
         } else {
-            ws.send(JSON.stringify({ error: true, message: 'Method not found', id }));
+            reply();
         }
     }
 
     /**
-     * Registers a callback function for a specific method name.
+     * Composes middleware into a single function. Unlike a promise-only composition, a chain whose
+     * steps all return synchronously also completes synchronously.
+     * @private
+     * @param {Array<function>} chain - Middleware called as `fn(ctx, next)`.
+     * @returns {function} Function running the chain for a context, returning what the first step returns.
+     */
+    compose(chain) {
+        return (ctx) => {
+            let index = -1;
+            const run = (i) => {
+                if (i <= index) throw new Error('next() called multiple times');
+                index = i;
+                const fn = chain[i];
+                return fn ? fn(ctx, () => run(i + 1)) : undefined;
+            };
+            return run(0);
+        };
+    }
+
+    /**
+     * Sends an error envelope to a client. Errors that are not a WSError are reported as a generic
+     * handler error so internal details are not leaked. A handler registered with `onError` can
+     * replace the envelope.
+     * @private
+     * @param {WSConnection} connection - The client connection.
+     * @param {string} id - The ID of the failed request.
+     * @param {Error} err - The error to report.
+     * @param {Object} [ctx] - The request context, when the error happened while dispatching.
+     */
+    sendError(connection, id, err, ctx = { id, connection }) {
+        let envelope;
+        if (this.errorHandler) {
+            try {
+                envelope = this.errorHandler(err, ctx);
+            } catch (e) {
+                console.error('Error handler failed:', e);
+            }
+        }
+        if (envelope instanceof WSError) {
+            envelope = envelope.toEnvelope(id);
+        }
+        if (envelope === undefined) {
+            const error = err instanceof WSError
+                ? err
+                : new WSError('Method handler error', { code: 'INTERNAL_ERROR' });
+            envelope = error.toEnvelope(id);
+        }
+        connection.write(envelope);
+    }
+
+    /**
+     * Runs a validator, treating a validator that throws as a failed validation.
+     * @private
+     * @param {function} validate - Validator returning a list of `{ path, message }` errors.
+     * @param {any} value - The value to validate.
+     * @returns {Array<{path: string, message: string}>} The validation errors.
+     */
+    runValidator(validate, value) {
+        try {
+            return validate(value);
+        } catch (err) {
+            return [{ path: '$', message: err.message }];
+        }
+    }
+
+    /**
+     * Registers a callback function for a method name or wildcard pattern; see Router for how names
+     * are matched. A handler registered for `*` answers every method nothing else matches, instead of
+     * the default `METHOD_NOT_FOUND` error.
+     * Payloads that do not match `options.schema` are rejected with an `INVALID_PARAMS` error listing
+     * the failing paths, before the callback runs.
      * @param {string} method - The method name to handle.
-     * @param {function} callback - The function to call with the payload and a response callback.
+     * @param {function} callback - The function to call with the payload, a response callback and the request context.
+     * @param {Object} [options] - Method options.
+     * @param {Object|Schema|function} [options.schema] - Payload schema (a JSON-Schema subset, see Schema)
+     * or a validator function returning a list of errors or a boolean.
+     * @param {Object|Schema|function} [options.responseSchema] - Schema checked against each response
+     * when `validateResponses` is on.
+     * @param {Array<function>} [options.use] - Middleware that only runs for this method, after the global
+     * middleware and the payload validation.
+     * @returns {WSServer} The server, for chaining.
+     * @throws {Error} If a handler is already registered for the method.
+     */
+    on(method, callback, options) {
+        this.router.on(method, callback, options);
+        return this;
+    }
+
+    /**
+     * Mounts a router under a prefix, so its `name` method is answered as `prefix.name`.
+     * @param {string} prefix - The prefix, without the trailing dot.
+     * @param {Router} router - The router to mount.
+     * @returns {WSServer} The server, for chaining.
+     * @throws {Error} If another router is already mounted under the prefix.
      */
-    on(method, callback) {
-        this.methodList[method] = callback;
+    mount(prefix, router) {
+        this.router.mount(prefix, router);
+        return this;
+    }
+
+    /**
+     * Adds a middleware to the chain run for every method call. Middleware is called as
+     * `fn(ctx, next)` in registration order; see `dispatch` for what `ctx` holds.
+     * @param {function} fn - The middleware.
+     * @returns {WSServer} The server, for chaining.
+     */
+    use(fn) {
+        this.middleware.push(fn);
+        return this;
+    }
+
+    /**
+     * Sets the function that builds error envelopes. It is called as `fn(err, ctx)` and may return
+     * the envelope object to send, a WSError to send in the standard shape, or undefined to keep the
+     * default envelope.
+     * @param {function} fn - The error handler.
+     * @returns {WSServer} The server, for chaining.
+     */
+    onError(fn) {
+        this.errorHandler = fn;
+        return this;
+    }
+
+    /**
+     * Resolves a connection or connection ID to the connection.
+     * @private
+     * @param {WSConnection|string} connection - A connection or its ID.
+     * @returns {WSConnection|undefined} The connection, if it is open.
+     */
+    resolveConnection(connection) {
+        return connection instanceof WSConnection ? connection : this.connections.get(connection);
+    }
+
+    /**
+     * Adds a connection to a room. Rooms are created on demand.
+     * @param {WSConnection|string} connection - A connection or its ID.
+     * @param {string} room - The room name.
+     */
+    join(connection, room) {
+        const member = this.resolveConnection(connection);
+        if (!member) return;
+        if (!this.rooms.has(room)) {
+            this.rooms.set(room, new Set());
+        }
+        this.rooms.get(room).add(member);
+        member.rooms.add(room);
+    }
+
+    /**
+     * Removes a connection from a room. Empty rooms are discarded.
+     * @param {WSConnection|string} connection - A connection or its ID.
+     * @param {string} room - The room name.
+     */
+    leave(connection, room) {
+        const member = this.resolveConnection(connection);
+        const members = this.rooms.get(room);
+        if (!member || !members) return;
+        members.delete(member);
+        member.rooms.delete(room);
+        if (!members.size) this.rooms.delete(room);
+    }
+
+    /**
+     * Selects the recipients of a pushed event.
+     * @param {string} target - A connection ID or a room name.
+     * @returns {{emit: function(string, any): number}} Object whose `emit(event, data)` pushes the event
+     * and returns the number of connections it was sent to.
+     */
+    to(target) {
+        const connection = this.connections.get(target);
+        const recipients = connection ? [connection] : [...(this.rooms.get(target) || [])];
+        return {
+            emit: (event, data) => {
+                recipients.forEach((recipient) => recipient.emit(event, data));
+                return recipients.length;
+            },
+        };
+    }
+
+    /**
+     * Pushes an event to every authenticated connection.
+     * @param {string} event - The event name.
+     * @param {any} data - The event data.
+     * @returns {number} The number of connections the event was sent to.
+     */
+    broadcast(event, data) {
+        let count = 0;
+        this.connections.forEach((connection) => {
+            if (!connection.authenticated) return;
+            connection.emit(event, data);
+            count++;
+        });
+        return count;
+    }
+
+    /**
+     * Returns a topic, creating it with a new log on first use.
+     * @param {string} name - The topic name.
+     * @returns {Topic} The topic.
+     */
+    topic(name) {
+        if (!this.topics.has(name)) {
+            this.topics.set(name, new Topic(name, this.topicLog(name), { cursorTTL: this.cursorTTL }));
+        }
+        return this.topics.get(name);
+    }
+
+    /**
+     * Stores a message in a topic's log and pushes it to the topic's subscribers.
+     * @async
+     * @param {string} name - The topic name.
+     * @param {any} data - The message.
+     * @returns {Promise<number>} The offset of the message.
+     */
+    publish(name, data) {
+        return this.topic(name).publish(data);
+    }
+
+    /**
+     * Handles a `topics.ack` notification. Acknowledgements are handled here rather than routed,
+     * so the many a busy topic brings in do not each run the middleware.
+     * @private
+     * @param {WSConnection} connection - The client connection.
+     * @param {Object} payload - The `topic` and the `offset` of the last message handled.
+     */
+    handleAck(connection, payload) {
+        const { topic, offset } = payload || {};
+        if (!this.topics.has(topic) || !Number.isInteger(offset) || offset < 0) return;
+        this.topics.get(topic).ack(connection, offset);
+    }
+
+    /**
+     * Builds the router answering the topic methods clients call:
+     * - `subscribe({ topic, from, last, consumer })` starts the subscription (see `Topic.subscribe`), or
+     *   fails with `TOPIC_NOT_FOUND` for a topic nothing was published to and that was not declared;
+     * - `unsubscribe({ topic })` ends it;
+     * - `ack({ topic, offset })` acknowledges the messages up to `offset`, and gets no answer. Sent as
+     *   a notification, it is handled by `handleAck` instead.
+     * @private
+     * @returns {Router} The router, mounted under `topics`.
+     */
+    topicRouter() {
+        const router = new Router();
+        router.on('subscribe', async ({ topic, from, last, consumer }, respond, ctx) => {
+            // clients do not get to create topics, each with a log of its own
+            if (!this.topics.has(topic)) {
+                throw new WSError(`Topic ${topic} not found`, { code: 'TOPIC_NOT_FOUND' });
+            }
+            const subscribed = await this.topic(topic).subscribe(ctx.connection, { from, last, consumer });
+            // the connection closed while the log was read
+            if (ctx.signal.aborted) this.topic(topic).unsubscribe(ctx.connection);
+            return subscribed;
+        }, { schema: TOPIC_SCHEMA });
+        router.on('unsubscribe', ({ topic }, respond, ctx) => {
+            return this.topics.has(topic) && this.topics.get(topic).unsubscribe(ctx.connection);
+        }, { schema: TOPIC_SCHEMA });
+        router.on('ack', ({ topic, offset }, respond, ctx) => {
+            if (offset !== undefined && this.topics.has(topic)) this.topics.get(topic).ack(ctx.connection, offset);
+        }, { schema: TOPIC_SCHEMA });
+        return router;
+    }
+
+    /**
+     * Gracefully shuts the server down: stops accepting connections, waits for in-flight handlers
+     * to finish (up to the deadline) and then terminates the remaining sockets.
+     * @async
+     * @param {Object} [options] - Shutdown options.
+     * @param {number} [options.timeout=5000] - Milliseconds to wait for in-flight handlers.
+     * @returns {Promise<void>} Resolves when the server is closed.
+     */
+    async close({ timeout = 5000 } = {}) {
+        this.isClosing = true;
+        clearInterval(this.heartbeatTimer);
+        const closed = new Promise((resolve) => this.ws.close(() => resolve()));
+
+        let timer;
+        await Promise.race([
+            Promise.all(this.inFlight),
+            new Promise((resolve) => { timer = setTimeout(resolve, timeout); }),
+        ]);
+        clearTimeout(timer);
+
+        this.ws.clients.forEach((client) => client.terminate());
+        await closed;
     }
-}
\ No newline at end of file
+}
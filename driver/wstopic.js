@@ -0,0 +1,166 @@
+// Push event topic messages are delivered with
+export const TOPIC_EVENT = 'topic.message';
+
+/**
+ * A durable pub/sub topic. Published messages are stored in the topic's log (see wstopiclog.js)
+ * under increasing offsets and pushed to the subscribed connections as
+ * `{ event: 'topic.message', data: { topic, offset, data } }`, in offset order.
+ *
+ * A subscription can start at a given offset, with the last few messages, or with what is
+ * published from then on. Subscribers that name a `consumer` get a cursor: they acknowledge the
+ * messages they handled, and subscribing again under the same name (after a reconnect, on a new
+ * connection) resumes from the first unacknowledged message. Cursors are kept in memory, and dropped
+ * once no subscription has used them for `cursorTTL` milliseconds.
+ *
+ * @class Topic
+ */
+export default class Topic {
+
+    /**
+     * Creates a Topic.
+     * @constructor
+     * @param {string} name - The topic name.
+     * @param {Object} log - The log storing the topic's messages.
+     * @param {Object} [options] - Topic options.
+     * @param {number} [options.cursorTTL=300000] - Milliseconds a consumer's cursor is kept after its last
+     * subscription ended.
+     */
+    constructor(name, log, { cursorTTL = 300000 } = {}) {
+        this.name = name;
+        this.log = log;
+        this.cursorTTL = cursorTTL;
+        this.subscriptions = new Map(); // Subscriptions, by connection
+        this.cursors = new Map(); // Offset of the first unacknowledged message, by consumer name
+        this.idle = new Map(); // When the last subscription of each consumer without one ended
+    }
+
+    /**
+     * Stores a message and pushes it to the subscribers.
+     * @async
+     * @param {any} data - The message.
+     * @returns {Promise<number>} The offset of the message.
+     */
+    async publish(data) {
+        const offset = await this.log.append(data);
+        this.subscriptions.forEach(subscription => this.deliver(subscription));
+        return offset;
+    }
+
+    /**
+     * Subscribes a connection, replacing its previous subscription to the topic, and starts pushing
+     * messages to it.
+     * @async
+     * @param {WSConnection} connection - The subscribing connection.
+     * @param {Object} [options] - Where to start.
+     * @param {number} [options.from] - The offset of the first message wanted.
+     * @param {number} [options.last] - Start with this many of the latest messages.
+     * @param {string} [options.consumer] - Name acknowledgements are kept under. Without `from` or
+     * `last`, a consumer that subscribed before resumes from its first unacknowledged message.
+     * @returns {Promise<Object>} The `topic` and the offset delivery starts `from`.
+     */
+    async subscribe(connection, { from, last, consumer } = {}) {
+        this.expireCursors();
+        let position = from;
+        if (position === undefined && last !== undefined) {
+            position = Math.max(0, await this.log.next() - last);
+        }
+        if (position === undefined && consumer !== undefined && this.cursors.has(consumer)) {
+            position = this.cursors.get(consumer);
+        }
+        if (position === undefined) {
+            position = await this.log.next();
+        }
+        if (consumer !== undefined && (from !== undefined || last !== undefined || !this.cursors.has(consumer))) {
+            this.cursors.set(consumer, position);
+        }
+
+        this.unsubscribe(connection);
+        if (consumer !== undefined) this.idle.delete(consumer);
+        const subscription = { connection, consumer, position, busy: false, dirty: false, closed: false };
+        this.subscriptions.set(connection, subscription);
+        connection.subscriptions.add(this.name);
+        this.deliver(subscription);
+        return { topic: this.name, from: position };
+    }
+
+    /**
+     * Stops pushing messages to a connection.
+     * @param {WSConnection} connection - The subscribed connection.
+     * @returns {boolean} Whether the connection was subscribed.
+     */
+    unsubscribe(connection) {
+        const subscription = this.subscriptions.get(connection);
+        if (!subscription) return false;
+        subscription.closed = true;
+        this.subscriptions.delete(connection);
+        connection.subscriptions.delete(this.name);
+        const { consumer } = subscription;
+        const used = [...this.subscriptions.values()].some(other => other.consumer === consumer);
+        if (consumer !== undefined && !used) this.idle.set(consumer, Date.now());
+        this.expireCursors();
+        return true;
+    }
+
+    /**
+     * Drops the cursors of the consumers that have had no subscription for `cursorTTL`.
+     * @private
+     */
+    expireCursors() {
+        const now = Date.now();
+        this.idle.forEach((since, consumer) => {
+            if (now - since < this.cursorTTL) return;
+            this.idle.delete(consumer);
+            this.cursors.delete(consumer);
+        });
+    }
+
+    /**
+     * Acknowledges the messages delivered to a connection up to an offset, moving its consumer's
+     * cursor past them.
+     * @param {WSConnection} connection - The subscribed connection.
+     * @param {number} offset - The offset of the last message handled.
+     */
+    ack(connection, offset) {
+        const subscription = this.subscriptions.get(connection);
+        if (!subscription || subscription.consumer === undefined) return;
+        // messages not delivered yet can not be acknowledged
+        const next = Math.min(offset + 1, subscription.position);
+        if (next > (this.cursors.get(subscription.consumer) ?? 0)) {
+            this.cursors.set(subscription.consumer, next);
+        }
+    }
+
+    /**
+     * Pushes the messages a subscription has not received yet. Calls made while a delivery is
+     * running make it look for new messages once more instead of running alongside it.
+     * @private
+     * @param {Object} subscription - The subscription.
+     */
+    deliver(subscription) {
+        if (subscription.busy) {
+            subscription.dirty = true;
+            return;
+        }
+        subscription.busy = true;
+        const run = async () => {
+            try {
+                let entries;
+                do {
+                    subscription.dirty = false;
+                    entries = await this.log.read(subscription.position);
+                    for (const { offset, data } of entries) {
+                        if (subscription.closed) return;
+                        subscription.connection.emit(TOPIC_EVENT, { topic: this.name, offset, data });
+                        subscription.position = offset + 1;
+                    }
+                } while (!subscription.closed && (entries.length || subscription.dirty));
+            } finally {
+                // in the same tick as the last check, so no publish falls in between
+                subscription.busy = false;
+            }
+        };
+        run().catch((err) => {
+            console.error(`Delivery error on topic ${this.name}:`, err);
+        });
+    }
+}
@@ -0,0 +1,165 @@
+import { readFile, appendFile, writeFile, rename } from 'fs/promises';
+
+/**
+ * Topic logs. A log stores the messages published to a topic, each under an offset one higher than
+ * the previous one, so subscribers can replay them. Logs are bounded: the oldest messages are
+ * dropped once a log holds `maxLength` of them, and replaying from a dropped offset starts at the
+ * oldest message still kept.
+ *
+ * A log implements:
+ * - `append(data)`: stores a message, resolving with its offset;
+ * - `read(from)`: resolves with the `{ offset, data }` entries from offset `from` on, oldest first;
+ * - `next()`: resolves with the offset the next message will get.
+ */
+
+/**
+ * Keeps the messages of a topic in memory. This is the default log.
+ *
+ * @class MemoryLog
+ */
+export class MemoryLog {
+
+    /**
+     * Creates an empty MemoryLog.
+     * @constructor
+     * @param {Object} [options] - Log options.
+     * @param {number} [options.maxLength=1000] - Number of messages kept.
+     */
+    constructor({ maxLength = 1000 } = {}) {
+        this.maxLength = maxLength;
+        this.entries = [];
+        this.nextOffset = 0;
+    }
+
+    /**
+     * @param {any} data - The message.
+     * @returns {Promise<number>} The offset of the message.
+     */
+    async append(data) {
+        const offset = this.nextOffset++;
+        this.entries.push({ offset, data });
+        if (this.entries.length > this.maxLength) this.entries.shift();
+        return offset;
+    }
+
+    /**
+     * @param {number} [from=0] - The first offset wanted.
+     * @returns {Promise<Array<Object>>} The `{ offset, data }` entries from that offset on.
+     */
+    async read(from = 0) {
+        const first = this.entries.length ? this.entries[0].offset : this.nextOffset;
+        return this.entries.slice(Math.max(0, from - first));
+    }
+
+    /**
+     * @returns {Promise<number>} The offset the next message will get.
+     */
+    async next() {
+        return this.nextOffset;
+    }
+}
+
+/**
+ * Appends the messages of a topic to a file, one JSON line per message, so they survive a server
+ * restart. The last `maxLength` messages are also kept in memory to serve reads; the file is
+ * rewritten with only those once it holds twice as many lines. Messages must be JSON-serializable.
+ *
+ * @class FileLog
+ */
+export class FileLog {
+
+    /**
+     * Creates a FileLog. The file is read on first use, and created if it does not exist.
+     * @constructor
+     * @param {Object} options - Log options.
+     * @param {string} options.path - The file to append to.
+     * @param {number} [options.maxLength=1000] - Number of messages kept.
+     */
+    constructor({ path, maxLength = 1000 }) {
+        this.path = path;
+        this.memory = new MemoryLog({ maxLength });
+        this.lines = 0; // Lines in the file
+        this.loading = null;
+        this.writing = Promise.resolve(); // Pending file writes, in order
+    }
+
+    /**
+     * Reads the messages already in the file, once.
+     * @private
+     * @returns {Promise<void>} Resolves when the log is ready.
+     */
+    load() {
+        if (!this.loading) {
+            this.loading = readFile(this.path, 'utf8').catch((err) => {
+                if (err.code === 'ENOENT') return '';
+                throw err;
+            }).then((content) => {
+                content.split('\n').forEach((line) => {
+                    if (!line) return;
+                    let entry;
+                    try {
+                        entry = JSON.parse(line);
+                    } catch (e) {
+                        return; // a line cut short by a crash
+                    }
+                    this.lines++;
+                    this.memory.nextOffset = entry.offset;
+                    this.memory.append(entry.data);
+                });
+            });
+        }
+        return this.loading;
+    }
+
+    /**
+     * @param {any} data - The message.
+     * @returns {Promise<number>} The offset of the message, once it is written to the file.
+     */
+    async append(data) {
+        await this.load();
+        const offset = await this.memory.append(data);
+        this.lines++;
+        const line = `${JSON.stringify({ offset, data })}\n`;
+        const compact = this.lines >= this.memory.maxLength * 2;
+        if (compact) this.lines = this.memory.entries.length;
+        const entries = compact ? this.memory.entries.slice() : null;
+        // a failed write is reported to its own caller, and does not hold up the next ones
+        this.writing = this.writing.catch(() => {}).then(() => {
+            if (!compact) return appendFile(this.path, line);
+            const temporary = `${this.path}.tmp`;
+            const content = entries.map(entry => `${JSON.stringify(entry)}\n`).join('');
+            return writeFile(temporary, content).then(() => rename(temporary, this.path));
+        });
+        await this.writing;
+        return offset;
+    }
+
+    /**
+     * @param {number} [from=0] - The first offset wanted.
+     * @returns {Promise<Array<Object>>} The `{ offset, data }` entries from that offset on.
+     */
+    async read(from = 0) {
+        await this.load();
+        return this.memory.read(from);
+    }
+
+    /**
+     * @returns {Promise<number>} The offset the next message will get.
+     */
+    async next() {
+        await this.load();
+        return this.memory.next();
+    }
+}
+
+/**
+ * Returns a function creating the log of each topic.
+ * @param {Object} [options] - Topic options.
+ * @param {function} [options.log] - Creates the log of a topic, called with the topic name.
+ * @param {number} [options.maxLength=1000] - Messages kept per topic by the default in-memory log.
+ * @returns {function} The log factory.
+ */
+export function createTopicLog({ log, maxLength = 1000 } = {}) {
+    if (typeof log === 'function') return log;
+    return () => new MemoryLog({ maxLength });
+}
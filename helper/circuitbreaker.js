@@ -0,0 +1,124 @@
+// CircuitBreaker: stops calling a failing service for a while, then lets a few calls through to
+// see whether it recovered
+
+// Usage:
+// const breaker = new CircuitBreaker({ failureThreshold: 5, resetTimeout: 10000 });
+// const getUser = breaker.wrap((id) => client.send('users.get', id, { timeout: 2000 }));
+// try {
+//     const user = await getUser(42);
+// } catch (e) {
+//     if (e instanceof CircuitOpenError) {
+//         console.log(`not trying for another ${e.retryAfter}ms`);
+//     }
+// }
+
+// States:
+// closed    - calls go through; `failureThreshold` consecutive failures open the circuit.
+// open      - calls fail right away with a CircuitOpenError, until `resetTimeout` has passed.
+// half-open - up to `halfOpenMax` calls at a time go through; `successThreshold` successes close
+//             the circuit again, a single failure opens it.
+
+
+class CircuitOpenError extends Error {
+
+    constructor(retryAfter) {
+        super('Circuit is open');
+        this.name = 'CircuitOpenError';
+        this.code = 'CIRCUIT_OPEN';
+        this.retryAfter = retryAfter;
+    }
+}
+
+class CircuitBreaker {
+
+    state = 'closed';
+    failures = 0; // Consecutive failures while closed
+    successes = 0; // Consecutive successes while half-open
+    trials = 0; // Calls in progress that started half-open
+    openedAt = 0;
+
+    // `isFailure(error)` tells which errors count against the service; the others are passed on
+    // without changing the state. `onStateChange(state, previous)` is called on every transition.
+    constructor({
+        failureThreshold = 5, successThreshold = 1, resetTimeout = 10000, halfOpenMax = 1,
+        isFailure = () => true, onStateChange,
+    } = {}) {
+        this.failureThreshold = failureThreshold;
+        this.successThreshold = successThreshold;
+        this.resetTimeout = resetTimeout;
+        this.halfOpenMax = halfOpenMax;
+        this.isFailure = isFailure;
+        this.onStateChange = onStateChange;
+    }
+
+    // Calls `fn(...args)` if the circuit lets it through, and records how it went.
+    async call(fn, ...args) {
+        if (!this.allows()) {
+            throw new CircuitOpenError(this.retryAfter());
+        }
+        const trial = this.state === 'half-open';
+        if (trial) this.trials++;
+        try {
+            const result = await fn(...args);
+            this.success();
+            return result;
+        } catch (e) {
+            if (this.isFailure(e)) this.failure();
+            throw e;
+        } finally {
+            if (trial) this.trials--;
+        }
+    }
+
+    // Returns a function that calls `fn` through the breaker.
+    wrap(fn) {
+        return (...args) => this.call(fn, ...args);
+    }
+
+    // Whether a call would go through now. Moves an open circuit whose timeout has passed to half-open.
+    allows() {
+        if (this.state === 'open' && this.retryAfter() === 0) {
+            this.transition('half-open');
+        }
+        if (this.state === 'closed') return true;
+        return this.state === 'half-open' && this.trials < this.halfOpenMax;
+    }
+
+    // Milliseconds until an open circuit lets calls through again.
+    retryAfter() {
+        if (this.state !== 'open') return 0;
+        return Math.max(0, this.openedAt + this.resetTimeout - Date.now());
+    }
+
+    success() {
+        if (this.state === 'closed') {
+            this.failures = 0;
+        } else if (this.state === 'half-open' && ++this.successes >= this.successThreshold) {
+            this.transition('closed');
+        }
+    }
+
+    failure() {
+        if (this.state === 'half-open'
+            || (this.state === 'closed' && ++this.failures >= this.failureThreshold)) {
+            this.openedAt = Date.now();
+            this.transition('open');
+        }
+    }
+
+    // Closes the circuit, forgetting past failures.
+    reset() {
+        this.transition('closed');
+    }
+
+    transition(state) {
+        const previous = this.state;
+        this.state = state;
+        this.failures = 0;
+        this.successes = 0;
+        if (state !== previous && this.onStateChange) this.onStateChange(state, previous);
+    }
+}
+
+export { CircuitOpenError };
+export default CircuitBreaker;
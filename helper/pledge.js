@@ -10,10 +10,74 @@
 // });
 // const response = await pledge.timeout(5000);
 
+// A pledge records how it ended:
+// pledge.status; // 'pending', 'fulfilled', 'rejected' or 'cancelled'
+// pledge.value;  // the value it was fulfilled with
+// pledge.reason; // the error it was rejected or cancelled with
+
+// Cancelling rejects the pledge with a CancelError (or the given reason) and runs the cleanup hooks:
+// const timer = setInterval(poll, 1000);
+// pledge.onCancel(() => clearInterval(timer));
+// pledge.cancel();
+
+// resolve, reject and cancel return false when the pledge was already settled. A cancelled pledge
+// that nothing waits for does not raise an unhandled rejection.
+
+// A pledge is a thenable, so it can be awaited and chained like a promise:
+// const user = await Pledge.from((callback) => db.get(id, callback))
+//     .then(JSON.parse)
+//     .catch(() => null)
+//     .finally(() => db.release());
+
+// Pledge.retry calls a function until it succeeds, backing off exponentially between attempts:
+// const data = await Pledge.retry(
+//     (attempt, signal) => client.send('report', query, { signal }),
+//     { retries: 4, backoff: { initialDelay: 200 }, jitter: 0.5, timeout: 5000 }
+// );
+// When every attempt fails it rejects with a RetryError holding each attempt's error in `errors`.
+
+// Pledge.map runs a function over a list with at most `concurrency` calls in progress:
+// const users = await Pledge.map(ids, (id) => client.send('users.get', id), { concurrency: 10 });
+
+
+class TimeoutError extends Error {
+
+    constructor(message = 'Request Timeout', { timeout } = {}) {
+        super(message);
+        this.name = 'TimeoutError';
+        this.code = 'TIMEOUT';
+        this.timeout = timeout;
+    }
+}
+
+class CancelError extends Error {
+
+    constructor(message = 'Cancelled') {
+        super(message);
+        this.name = 'CancelError';
+        this.code = 'CANCELLED';
+    }
+}
+
+class RetryError extends AggregateError {
+
+    constructor(errors) {
+        const reasons = errors.map(error => (error && error.message) || String(error));
+        super(errors, `Failed after ${errors.length} attempts: ${reasons.join('; ')}`);
+        this.name = 'RetryError';
+        this.code = 'RETRY_FAILED';
+        this.attempts = errors.length;
+    }
+}
 
 class Pledge {
 
     promise = null;
+    status = 'pending';
+    value = undefined;
+    reason = undefined;
+    locked = false; // Resolved with a promise that has not settled yet
+    cancelHooks = [];
 
     constructor() {
         this.promise = new Promise((resolve, reject) => {
@@ -30,31 +94,232 @@ class Pledge {
         );
     }
 
+    static allSettled(pledges) {
+        return Promise.allSettled(
+            pledges.map(item =>
+                item instanceof Pledge ? item.get() : item
+            )
+        );
+    }
+
+    static any(pledges) {
+        return Promise.any(
+            pledges.map(item =>
+                item instanceof Pledge ? item.get() : item
+            )
+        );
+    }
+
+    static race(pledges) {
+        return Promise.race(
+            pledges.map(item =>
+                item instanceof Pledge ? item.get() : item
+            )
+        );
+    }
+
+    // Calls `fn(item, index)` for every item, starting the next call as soon as one of the at most
+    // `concurrency` running ones finishes. Resolves with the results in the order of the items, or
+    // rejects with the first error, starting no further calls.
+    static map(items, fn, { concurrency = Infinity } = {}) {
+        if (!(concurrency >= 1)) {
+            throw new RangeError('Concurrency must be at least 1');
+        }
+        const list = Array.from(items);
+        const results = new Array(list.length);
+        const pledge = new Pledge();
+        let started = 0;
+        let finished = 0;
+        const launch = () => {
+            if (pledge.status !== 'pending') return;
+            if (finished === list.length) {
+                pledge.resolve(results);
+                return;
+            }
+            while (started - finished < concurrency && started < list.length) {
+                const index = started++;
+                new Promise((resolve) => resolve(fn(list[index], index))).then((value) => {
+                    results[index] = value;
+                    finished++;
+                    launch();
+                }, (error) => pledge.reject(error));
+            }
+        };
+        launch();
+        return pledge.get();
+    }
+
+    // Wraps a promise (or any value) in a pledge. A function is called with a Node-style
+    // `(error, data)` callback, and the pledge settles with what it is called with.
+    static from(source) {
+        const pledge = new Pledge();
+        if (typeof source !== 'function') {
+            pledge.resolve(source);
+            return pledge;
+        }
+        try {
+            source((error, data) => {
+                if (error) {
+                    pledge.reject(error);
+                } else {
+                    pledge.resolve(data);
+                }
+            });
+        } catch (e) {
+            pledge.reject(e);
+        }
+        return pledge;
+    }
+
+    // Calls `fn(attempt, signal)` until its promise fulfills, `retries` times more at most.
+    // `backoff` is `{ initialDelay, multiplier, maxDelay }` or a function `(attempt, error) => delay`,
+    // and `jitter` the fraction of each delay that is randomized. `shouldRetry(error, attempt)` can
+    // stop early, rejecting with that error; `onRetry(error, attempt, delay)` is called before each
+    // wait. `timeout` limits every attempt, and aborting `signal` rejects with its reason.
+    static async retry(fn, {
+        retries = 3, backoff = {}, jitter = 0, shouldRetry = () => true, signal, onRetry, timeout,
+    } = {}) {
+        const delayFor = typeof backoff === 'function'
+            ? backoff
+            : (attempt) => {
+                const { initialDelay = 100, multiplier = 2, maxDelay = 30000 } = backoff;
+                return Math.min(initialDelay * multiplier ** (attempt - 1), maxDelay);
+            };
+        const aborted = new Pledge();
+        aborted.promise.catch(() => {}); // only ever raced against
+        const onAbort = () => aborted.reject(signal.reason);
+        if (signal) signal.addEventListener('abort', onAbort);
+
+        const errors = [];
+        try {
+            for (let attempt = 1; ; attempt++) {
+                if (signal && signal.aborted) throw signal.reason;
+                try {
+                    const result = Pledge.from(new Promise((resolve) => resolve(fn(attempt, signal))));
+                    return await Promise.race([
+                        timeout ? result.timeout(timeout) : result.get(),
+                        aborted.promise,
+                    ]);
+                } catch (error) {
+                    if (signal && signal.aborted) throw signal.reason;
+                    errors.push(error);
+                    if (!(await shouldRetry(error, attempt))) throw error;
+                    if (attempt > retries) throw new RetryError(errors);
+
+                    const delay = delayFor(attempt, error);
+                    const wait = delay - delay * jitter * Math.random();
+                    if (onRetry) onRetry(error, attempt, wait);
+                    let timer;
+                    try {
+                        await Promise.race([
+                            new Promise((resolve) => { timer = setTimeout(resolve, wait); }),
+                            aborted.promise,
+                        ]);
+                    } finally {
+                        clearTimeout(timer);
+                    }
+                }
+            }
+        } finally {
+            if (signal) signal.removeEventListener('abort', onAbort);
+        }
+    }
+
+    // Records the outcome and settles the promise, unless the pledge is already settled.
+    settle(status, result) {
+        if (this.status !== 'pending') return false;
+        this.status = status;
+        if (status === 'fulfilled') {
+            this.value = result;
+            this._resolve(result);
+        } else {
+            this.reason = result;
+            this._reject(result);
+        }
+        return true;
+    }
+
+    // Resolving with a promise (or thenable) follows it; the pledge can not be resolved again meanwhile.
     resolve(data) {
-        this._resolve(data);
+        if (this.locked || this.status !== 'pending') return false;
+        if (data && typeof data.then === 'function') {
+            this.locked = true;
+            Promise.resolve(data).then(
+                (value) => this.settle('fulfilled', value),
+                (reason) => this.settle('rejected', reason)
+            );
+            return true;
+        }
+        return this.settle('fulfilled', data);
     }
 
     reject(data) {
-        this._reject(data);
+        if (this.locked || this.status !== 'pending') return false;
+        return this.settle('rejected', data);
+    }
+
+    // Rejects the pledge with the reason and runs the hooks registered with onCancel.
+    cancel(reason = new CancelError()) {
+        if (this.status !== 'pending') return false;
+        this.promise.catch(() => {}); // whoever cancels does not have to be waiting for the pledge
+        this.settle('cancelled', reason);
+        const hooks = this.cancelHooks;
+        this.cancelHooks = [];
+        hooks.forEach((hook) => {
+            try {
+                hook(reason);
+            } catch (e) {
+                console.error('Cancel hook error:', e);
+            }
+        });
+        return true;
+    }
+
+    // Registers cleanup to run if the pledge is cancelled, right away if it already was.
+    onCancel(hook) {
+        if (this.status === 'cancelled') {
+            hook(this.reason);
+        } else if (this.status === 'pending') {
+            this.cancelHooks.push(hook);
+        }
+        return this;
     }
 
     async get() {
         return this.promise;
     }
 
-    async timeout(time) {
-        return Promise.race([
-            this.promise,
-            new Promise((_, reject) =>
-                setTimeout(() => reject(new Error('Request Timeout')), time)
-            )
-        ]);
+    // Waits for the pledge for at most `time` milliseconds, rejecting with a TimeoutError after that.
+    // With `settle`, the pledge itself is rejected with the TimeoutError; otherwise it stays pending.
+    async timeout(time, { settle = false } = {}) {
+        let timer;
+        const expired = new Promise((_, reject) => {
+            timer = setTimeout(() => {
+                const error = new TimeoutError('Request Timeout', { timeout: time });
+                if (settle) this.settle('rejected', error);
+                reject(error);
+            }, time);
+        });
+        try {
+            return await Promise.race([this.promise, expired]);
+        } finally {
+            clearTimeout(timer);
+        }
     }
 
-    then(callback) {
-        this.promise.then(callback);
-        return this;
+    // Chains like Promise#then, returning a new pledge settled with the outcome of the handlers.
+    then(onFulfilled, onRejected) {
+        return Pledge.from(this.promise.then(onFulfilled, onRejected));
+    }
+
+    catch(onRejected) {
+        return this.then(undefined, onRejected);
+    }
+
+    finally(onFinally) {
+        return Pledge.from(this.promise.finally(onFinally));
     }
 }
 
-export default Pledge;
\ No newline at end of file
+export { TimeoutError, CancelError, RetryError };
+export default Pledge;
@@ -0,0 +1,175 @@
+// Schema: a small JSON-Schema subset validator
+
+// Usage:
+// const schema = new Schema({
+//     type: 'object',
+//     required: ['name'],
+//     properties: {
+//         name: { type: 'string', minLength: 1 },
+//         tags: { type: 'array', items: { type: 'string' } },
+//     },
+// });
+// const errors = schema.validate(payload);
+// // [{ path: '$.tags[0]', message: 'must be string' }]
+
+// Supported keywords: type, enum, const, properties, required, additionalProperties, items,
+// minItems, maxItems, uniqueItems, minLength, maxLength, pattern, minimum, maximum,
+// exclusiveMinimum, exclusiveMaximum, multipleOf, anyOf, oneOf, allOf, not.
+
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+class Schema {
+
+    definition = null;
+
+    constructor(definition = {}) {
+        this.definition = definition;
+    }
+
+    // Turns a schema definition, a Schema or a validator function into a function returning an error list.
+    // A validator function may return an error list, or a boolean telling whether the value is valid.
+    static validator(schema) {
+        if (typeof schema === 'function') {
+            return (value) => {
+                const result = schema(value);
+                if (Array.isArray(result)) return result;
+                return result === false ? [{ path: '$', message: 'is invalid' }] : [];
+            };
+        }
+        const compiled = schema instanceof Schema ? schema : new Schema(schema);
+        return (value) => compiled.validate(value);
+    }
+
+    validate(value) {
+        const errors = [];
+        this.check(this.definition, value, '$', errors);
+        return errors;
+    }
+
+    check(schema, value, path, errors) {
+        if (schema === true || schema === undefined) return;
+        if (schema === false) {
+            errors.push({ path, message: 'is not allowed' });
+            return;
+        }
+
+        if (schema.type !== undefined) {
+            const types = [].concat(schema.type);
+            if (!types.some(type => matchesType(value, type))) {
+                errors.push({ path, message: `must be ${types.join(' or ')}` });
+                return;
+            }
+        }
+        if (schema.enum && !schema.enum.some(option => isEqual(option, value))) {
+            errors.push({ path, message: `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` });
+        }
+        if (schema.const !== undefined && !isEqual(schema.const, value)) {
+            errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+        }
+
+        const type = typeOf(value);
+        if (type === 'string') this.checkString(schema, value, path, errors);
+        if (type === 'number' || type === 'integer') this.checkNumber(schema, value, path, errors);
+        if (type === 'array') this.checkArray(schema, value, path, errors);
+        if (type === 'object') this.checkObject(schema, value, path, errors);
+
+        if (schema.allOf) {
+            schema.allOf.forEach(sub => this.check(sub, value, path, errors));
+        }
+        if (schema.anyOf && !schema.anyOf.some(sub => this.matches(sub, value))) {
+            errors.push({ path, message: 'must match a schema in anyOf' });
+        }
+        if (schema.oneOf && schema.oneOf.filter(sub => this.matches(sub, value)).length !== 1) {
+            errors.push({ path, message: 'must match exactly one schema in oneOf' });
+        }
+        if (schema.not !== undefined && this.matches(schema.not, value)) {
+            errors.push({ path, message: 'must not match the schema in not' });
+        }
+    }
+
+    matches(schema, value) {
+        const errors = [];
+        this.check(schema, value, '$', errors);
+        return errors.length === 0;
+    }
+
+    checkString(schema, value, path, errors) {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path, message: `must have at least ${schema.minLength} characters` });
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ path, message: `must have at most ${schema.maxLength} characters` });
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+            errors.push({ path, message: `must match pattern ${schema.pattern}` });
+        }
+    }
+
+    checkNumber(schema, value, path, errors) {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path, message: `must be >= ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path, message: `must be <= ${schema.maximum}` });
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            errors.push({ path, message: `must be > ${schema.exclusiveMinimum}` });
+        }
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+            errors.push({ path, message: `must be < ${schema.exclusiveMaximum}` });
+        }
+        if (schema.multipleOf !== undefined && !Number.isInteger(value / schema.multipleOf)) {
+            errors.push({ path, message: `must be a multiple of ${schema.multipleOf}` });
+        }
+    }
+
+    checkArray(schema, value, path, errors) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path, message: `must have at least ${schema.minItems} items` });
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+        }
+        if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+            errors.push({ path, message: 'must not contain duplicate items' });
+        }
+        if (schema.items !== undefined) {
+            value.forEach((item, index) => this.check(schema.items, item, `${path}[${index}]`, errors));
+        }
+    }
+
+    checkObject(schema, value, path, errors) {
+        const properties = schema.properties || {};
+        // own keys only, so `toString` or `constructor` are not found on the prototype
+        const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+        (schema.required || []).forEach(key => {
+            if (!has(value, key)) {
+                errors.push({ path: `${path}.${key}`, message: 'is required' });
+            }
+        });
+        Object.keys(value).forEach(key => {
+            if (has(properties, key)) {
+                this.check(properties[key], value[key], `${path}.${key}`, errors);
+            } else if (schema.additionalProperties !== undefined) {
+                this.check(schema.additionalProperties, value[key], `${path}.${key}`, errors);
+            }
+        });
+    }
+}
+
+export default Schema;
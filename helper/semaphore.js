@@ -0,0 +1,100 @@
+// Semaphore: limits how many callers hold a resource at the same time
+
+// Usage:
+// const semaphore = new Semaphore(3);
+// const release = await semaphore.acquire();
+// try {
+//     await client.send('export', chunk);
+// } finally {
+//     release();
+// }
+// // or, the same thing:
+// await semaphore.use(() => client.send('export', chunk));
+
+// acquire returns a Pledge resolving with the release function. Waiting callers get a permit in the
+// order they asked for it; a waiting Pledge that is cancelled, or settled by `timeout(ms, { settle: true })`,
+// gives up its place. Calling a release function more than once has no effect.
+
+// Mutex is a semaphore with a single permit:
+// const mutex = new Mutex();
+// await mutex.use(async () => { /* one caller at a time */ });
+
+import Pledge from './pledge.js';
+
+
+class Semaphore {
+
+    permits = 1;
+    available = 1;
+    waiting = [];
+
+    constructor(permits = 1) {
+        if (!(permits >= 1)) {
+            throw new RangeError('A semaphore needs at least one permit');
+        }
+        this.permits = permits;
+        this.available = permits;
+    }
+
+    acquire() {
+        const pledge = new Pledge();
+        if (this.available > 0) {
+            this.available--;
+            pledge.resolve(this.releaser());
+            return pledge;
+        }
+        this.waiting.push(pledge);
+        pledge.onCancel(() => {
+            this.waiting = this.waiting.filter(waiter => waiter !== pledge);
+        });
+        return pledge;
+    }
+
+    // Takes a permit if one is free, returning its release function, or null.
+    tryAcquire() {
+        if (this.available === 0) return null;
+        this.available--;
+        return this.releaser();
+    }
+
+    // Runs `fn` while holding a permit, releasing it however `fn` ends.
+    async use(fn) {
+        const release = await this.acquire();
+        try {
+            return await fn();
+        } finally {
+            release();
+        }
+    }
+
+    releaser() {
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            this.release();
+        };
+    }
+
+    // Hands the permit to the first caller still waiting for one, or puts it back.
+    release() {
+        while (this.waiting.length) {
+            if (this.waiting.shift().resolve(this.releaser())) return;
+        }
+        this.available++;
+    }
+}
+
+class Mutex extends Semaphore {
+
+    constructor() {
+        super(1);
+    }
+
+    isLocked() {
+        return this.available === 0;
+    }
+}
+
+export { Mutex };
+export default Semaphore;
@@ -0,0 +1,133 @@
+// TaskQueue: runs async tasks with a concurrency limit, highest priority first
+
+// Usage:
+// const queue = new TaskQueue({ concurrency: 4, timeout: 10000 });
+// const report = queue.add((signal) => client.send('report', query, { signal }), { priority: 1 });
+// ids.forEach((id) => queue.add(() => client.send('users.refresh', id)));
+// await queue.onIdle();
+
+// add returns a Pledge for the task's result. Tasks with the same priority run in the order they
+// were added. A task gets an AbortSignal that fires when it times out or its Pledge is cancelled;
+// either way it stops counting against the concurrency limit. Cancelling a task that has not
+// started removes it from the queue. A task that fails or times out rejects its Pledge; that raises
+// no unhandled rejection when nobody waits for it, as in the forEach above.
+
+import Pledge, { TimeoutError, CancelError } from './pledge.js';
+
+
+class TaskQueue {
+
+    concurrency = 1;
+    timeout = undefined;
+    paused = false;
+    running = 0;
+    queue = []; // Tasks waiting to start, highest priority first
+    idle = []; // Pledges of the onIdle callers
+
+    constructor({ concurrency = 1, timeout, paused = false } = {}) {
+        if (!(concurrency >= 1)) {
+            throw new RangeError('Concurrency must be at least 1');
+        }
+        this.concurrency = concurrency;
+        this.timeout = timeout;
+        this.paused = paused;
+    }
+
+    // Number of tasks waiting to start.
+    get size() {
+        return this.queue.length;
+    }
+
+    add(fn, { priority = 0, timeout = this.timeout } = {}) {
+        const pledge = new Pledge();
+        pledge.promise.catch(() => {}); // callers may leave the pledge alone and wait for onIdle
+        const task = { fn, priority, timeout, pledge };
+        const index = this.queue.findIndex(queued => queued.priority < priority);
+        if (index === -1) {
+            this.queue.push(task);
+        } else {
+            this.queue.splice(index, 0, task);
+        }
+        pledge.onCancel(() => {
+            if (!this.queue.includes(task)) return;
+            this.queue = this.queue.filter(queued => queued !== task);
+            this.checkIdle();
+        });
+        this.next();
+        return pledge;
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+        this.next();
+    }
+
+    // Cancels every task that has not started yet.
+    clear() {
+        const queue = this.queue;
+        this.queue = [];
+        queue.forEach(({ pledge }) => pledge.cancel(new CancelError('Task cleared')));
+        this.checkIdle();
+    }
+
+    // Resolves once no task is running or waiting.
+    onIdle() {
+        if (!this.running && !this.queue.length) return Promise.resolve();
+        const pledge = new Pledge();
+        this.idle.push(pledge);
+        return pledge.get();
+    }
+
+    next() {
+        while (!this.paused && this.running < this.concurrency && this.queue.length) {
+            this.start(this.queue.shift());
+        }
+        this.checkIdle();
+    }
+
+    start({ fn, timeout, pledge }) {
+        this.running++;
+        const controller = new AbortController();
+        let timer = null;
+        let done = false;
+        const finish = () => {
+            if (done) return;
+            done = true;
+            clearTimeout(timer);
+            this.running--;
+            this.next();
+        };
+        if (timeout !== undefined) {
+            timer = setTimeout(() => {
+                const error = new TimeoutError('Task Timeout', { timeout });
+                pledge.reject(error);
+                controller.abort(error);
+                finish();
+            }, timeout);
+        }
+        pledge.onCancel((reason) => {
+            controller.abort(reason);
+            finish();
+        });
+        new Promise((resolve) => resolve(fn(controller.signal))).then((value) => {
+            pledge.resolve(value);
+            finish();
+        }, (error) => {
+            pledge.reject(error);
+            finish();
+        });
+    }
+
+    checkIdle() {
+        if (this.running || this.queue.length) return;
+        const idle = this.idle;
+        this.idle = [];
+        idle.forEach(pledge => pledge.resolve());
+    }
+}
+
+export default TaskQueue;
@@ -0,0 +1,46 @@
+// TokenBucket: a rate limiter allowing short bursts over a steady rate
+
+// Usage:
+// const bucket = new TokenBucket({ rate: 10, burst: 20 }); // 10 per second, up to 20 at once
+// if (!bucket.take()) {
+//     console.log(`retry in ${bucket.retryAfter()}ms`);
+// }
+
+
+class TokenBucket {
+
+    rate = 0;
+    burst = 0;
+    tokens = 0;
+    updated = 0;
+
+    constructor({ rate, burst = rate }) {
+        this.rate = rate;
+        this.burst = burst;
+        this.tokens = burst;
+        this.updated = Date.now();
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.burst, this.tokens + (now - this.updated) * this.rate / 1000);
+        this.updated = now;
+    }
+
+    // Takes tokens if there are enough, returning whether it did.
+    take(count = 1) {
+        this.refill();
+        if (this.tokens < count) return false;
+        this.tokens -= count;
+        return true;
+    }
+
+    // Milliseconds until `count` tokens are available.
+    retryAfter(count = 1) {
+        this.refill();
+        if (this.tokens >= count) return 0;
+        return Math.ceil((count - this.tokens) * 1000 / this.rate);
+    }
+}
+
+export default TokenBucket;
@@ -4,13 +4,61 @@
  * @module index
  * @exports WSClient
  * @exports WSServer
+ * @exports Router
+ * @exports WSError
+ * @exports WSRemoteError
+ * @exports AbortError
+ * @exports NativeProtocol
+ * @exports JsonRpcProtocol
+ * @exports JsonCodec
+ * @exports BinaryCodec
+ * @exports MemoryLog
+ * @exports FileLog
+ * @exports Pledge
+ * @exports TimeoutError
+ * @exports CancelError
+ * @exports RetryError
+ * @exports CircuitBreaker
+ * @exports CircuitOpenError
+ * @exports TaskQueue
+ * @exports Semaphore
+ * @exports Mutex
+ * @exports Schema
  */
 import WSClient from "./driver/wsclient.js";
 import WSServer from "./driver/wsserver.js";
-import Pledge from "./helper/pledge.js";
+import Router from "./driver/wsrouter.js";
+import { WSError, WSRemoteError, AbortError } from "./driver/wserror.js";
+import { NativeProtocol, JsonRpcProtocol } from "./driver/wsprotocol.js";
+import { JsonCodec, BinaryCodec } from "./driver/wscodec.js";
+import { MemoryLog, FileLog } from "./driver/wstopiclog.js";
+import Pledge, { TimeoutError, CancelError, RetryError } from "./helper/pledge.js";
+import CircuitBreaker, { CircuitOpenError } from "./helper/circuitbreaker.js";
+import TaskQueue from "./helper/taskqueue.js";
+import Semaphore, { Mutex } from "./helper/semaphore.js";
+import Schema from "./helper/schema.js";
 
 export {
     WSClient,
     WSServer,
+    Router,
+    WSError,
+    WSRemoteError,
+    AbortError,
+    NativeProtocol,
+    JsonRpcProtocol,
+    JsonCodec,
+    BinaryCodec,
+    MemoryLog,
+    FileLog,
     Pledge,
+    TimeoutError,
+    CancelError,
+    RetryError,
+    CircuitBreaker,
+    CircuitOpenError,
+    TaskQueue,
+    Semaphore,
+    Mutex,
+    Schema,
 };
\ No newline at end of file
@@ -0,0 +1,141 @@
+import WSChunker from '../../driver/wschunker.js';
+import { JsonCodec, BinaryCodec } from '../../driver/wscodec.js';
+
+describe('WSChunker', () => {
+    let sent;
+    let sender;
+    let receiver;
+
+    const create = (codec, options = {}) => {
+        sent = [];
+        sender = new WSChunker({ codec, chunkSize: 4, send: (message) => sent.push(message), ...options });
+        receiver = new WSChunker({ codec, send: jest.fn(), ...options });
+    };
+    // Feeds everything sent so far to the receiver, returning the complete messages
+    const deliver = () => sent.splice(0).map((message) => {
+        const decoded = receiver.codec.decode(message);
+        return WSChunker.isChunk(decoded) ? receiver.receive(decoded) : message;
+    }).filter((message) => message !== undefined);
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        create(new JsonCodec());
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('sends small messages right away', async () => {
+        const onProgress = jest.fn();
+        await expect(sender.send('abc', { id: 1, onProgress })).resolves.toBe(true);
+        expect(sent).toEqual(['abc']);
+        expect(onProgress).toHaveBeenCalledWith({ loaded: 3, total: 3 });
+    });
+
+    test('splits large messages and puts them back together', async () => {
+        const onProgress = jest.fn();
+        const done = sender.send('abcdefghij', { id: 'r1', onProgress });
+        expect(sent).toEqual([]);
+        jest.runAllTimers();
+        await expect(done).resolves.toBe(true);
+        expect(sent).toHaveLength(3);
+        expect(JSON.parse(sent[0])).toEqual({ chunk: 1, id: 'r1', seq: 0, count: 3, size: 10, data: 'abcd' });
+        expect(onProgress.mock.calls.map(([progress]) => progress.loaded)).toEqual([4, 8, 10]);
+        expect(deliver()).toEqual(['abcdefghij']);
+    });
+
+    test('reassembles binary messages', () => {
+        create(new BinaryCodec());
+        const message = new Uint8Array(Array.from({ length: 11 }, (_, i) => i));
+        sender.send(message, { id: 1 });
+        jest.runAllTimers();
+        expect(deliver()).toEqual([message]);
+    });
+
+    test('reports download progress by request ID', () => {
+        const onProgress = jest.fn();
+        create(new JsonCodec(), { onProgress });
+        sender.send('abcdefgh', { id: 7 });
+        jest.runAllTimers();
+        deliver();
+        expect(onProgress.mock.calls).toEqual([[7, { loaded: 4, total: 8 }], [7, { loaded: 8, total: 8 }]]);
+    });
+
+    test('interleaves transfers and lets small messages through', () => {
+        sender.send('"aaaaaa"', { id: 'a' });
+        sender.send('"bbbbbb"', { id: 'b' });
+        jest.advanceTimersByTime(0);
+        sender.send('"hi"', { id: 'c' });
+        jest.runAllTimers();
+        const order = sent.map((message) => JSON.parse(message)).map((frame) => frame.id ?? frame);
+        expect(order).toEqual(['a', 'b', 'hi', 'a', 'b']);
+    });
+
+    test('keeps messages for the same request in order', () => {
+        sender.send('"abcdef"', { id: 1 });
+        sender.send('"end"', { id: 1 });
+        sender.send('"o"', { id: 2 });
+        sender.send('"x"');
+        jest.runAllTimers();
+        expect(deliver()).toEqual(['"o"', '"x"', '"abcdef"', '"end"']);
+    });
+
+    test('aborts a transfer under way', async () => {
+        const done = sender.send('abcdefghijkl', { id: 1 });
+        jest.advanceTimersByTime(0);
+        sender.abort(1);
+        await expect(done).resolves.toBe(false);
+        jest.runAllTimers();
+        expect(JSON.parse(sent.at(-1))).toEqual({ chunk: 1, abort: true });
+        expect(deliver()).toEqual([]);
+        expect(receiver.incoming.size).toBe(0);
+    });
+
+    test('drops every transfer on abortAll', async () => {
+        const done = sender.send('abcdefghijkl', { id: 1 });
+        sender.abortAll();
+        jest.runAllTimers();
+        await expect(done).resolves.toBe(false);
+        expect(sent).toEqual([]);
+    });
+
+    test('rejects messages over the maximum size and ignores the rest of them', () => {
+        create(new JsonCodec(), { maxSize: 6 });
+        sender.send('abcdefgh', { id: 1 });
+        jest.runAllTimers();
+        const [first, second] = sent.map((message) => JSON.parse(message));
+        expect(() => receiver.receive(first)).toThrow(expect.objectContaining({ code: 'MESSAGE_TOO_LARGE' }));
+        expect(receiver.receive(second)).toBeUndefined();
+        expect(receiver.incoming.size).toBe(0);
+    });
+
+    test('drops transfers whose chunks do not match the first one', () => {
+        const envelope = { chunk: 1, id: 1, seq: 0, count: 2, size: 6, data: 'abc' };
+        expect(() => receiver.receive({ ...envelope, count: 7 })).toThrow(expect.objectContaining({ code: 'INVALID_REQUEST' }));
+        expect(() => receiver.receive({ ...envelope, size: -1 })).toThrow('Invalid chunk');
+
+        receiver.receive(envelope);
+        expect(() => receiver.receive({ ...envelope, seq: 2 })).toThrow('Invalid chunk');
+        expect(receiver.incoming.size).toBe(0);
+
+        receiver.receive(envelope);
+        expect(() => receiver.receive({ ...envelope, seq: 1, data: 'defg' })).toThrow('Invalid chunk');
+        expect(receiver.incoming.size).toBe(0);
+
+        receiver.receive(envelope);
+        expect(() => receiver.receive({ ...envelope, seq: 1, data: 'd' })).toThrow('Invalid chunk');
+        expect(receiver.incoming.size).toBe(0);
+    });
+
+    test('limits the transfers under way and expires idle ones', () => {
+        create(new JsonCodec(), { maxTransfers: 1, transferTimeout: 1000 });
+        receiver.receive({ chunk: 1, seq: 0, count: 2, size: 6, data: 'abc' });
+        expect(() => receiver.receive({ chunk: 2, seq: 0, count: 2, size: 6, data: 'abc' }))
+            .toThrow(expect.objectContaining({ code: 'RATE_LIMITED' }));
+        jest.advanceTimersByTime(1001);
+        expect(receiver.receive({ chunk: 2, seq: 0, count: 2, size: 6, data: 'abc' })).toBeUndefined();
+        expect([...receiver.incoming.keys()]).toEqual([2]);
+        expect(receiver.receive({ chunk: 1, seq: 1, count: 2, size: 6, data: 'def' })).toBeUndefined();
+    });
+});
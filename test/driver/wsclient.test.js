@@ -1,25 +1,30 @@
 import WSClient from '../../driver/wsclient.js';
 import WSServer from '../../driver/wsserver.js';
-import { WebSocket } from 'ws';
+import { WSError, WSRemoteError, AbortError } from '../../driver/wserror.js';
+import { WebSocket, WebSocketServer } from 'ws';
 
 global.WebSocket = WebSocket;
 
 describe('WSClient', () => {
     let server;
     let client;
-    const port = 8080;
-    const url = `ws://localhost:${port}`;
+    let url;
 
     beforeAll((done) => {
-        server = new WSServer();
+        server = new WSServer({ port: 0 });
+        url = `ws://localhost:${server.ws.address().port}`;
         // Mock method handler
         server.on('echo', (payload, respond) => respond(payload));
         server.on('error', () => { throw new Error('handler error'); });
+        server.on('silent', () => {});
+        server.on('forbidden', async () => {
+            throw new WSError('Not allowed', { code: 'FORBIDDEN', details: { role: 'guest' } });
+        });
         done();
     });
 
-    afterAll((done) => {
-        server.ws.close(() => done());
+    afterAll(async () => {
+        await server.close({ timeout: 100 });
     });
 
     beforeEach(() => {
@@ -43,8 +48,52 @@ describe('WSClient', () => {
         expect(response).toEqual({ foo: 'bar' });
     });
 
-    test('handles server method not found error', async () => {
-        await expect(client.send('notfound', {})).resolves.toBeUndefined();
+    test('rejects with WSRemoteError when method is not found', async () => {
+        const error = await client.send('notfound', {}).catch(e => e);
+        expect(error).toBeInstanceOf(WSRemoteError);
+        expect(error.message).toBe('Method not found');
+        expect(error.method).toBe('notfound');
+        expect(error.code).toBe('METHOD_NOT_FOUND');
+    });
+
+    test('exposes code and details of structured server errors', async () => {
+        const error = await client.send('forbidden', {}).catch(e => e);
+        expect(error).toBeInstanceOf(WSRemoteError);
+        expect(error.code).toBe('FORBIDDEN');
+        expect(error.details).toEqual({ role: 'guest' });
+    });
+
+    test('rejects on timeout and removes its listener', async () => {
+        await expect(client.send('silent', {}, { timeout: 50 })).rejects.toThrow('Request Timeout');
+        expect(client.onMessageListeners).toHaveLength(0);
+        expect(client.pendingCount).toBe(0);
+    });
+
+    test('resolves before timeout when the server answers', async () => {
+        const response = await client.send('echo', 'fast', { timeout: 1000 });
+        expect(response).toBe('fast');
+        expect(client.onMessageListeners).toHaveLength(0);
+        expect(client.pendingCount).toBe(0);
+    });
+
+    test('tracks requests in flight by unique message IDs', async () => {
+        await client.open();
+        const sendFrame = jest.spyOn(client, '_sendFrame');
+        const requests = Array.from({ length: 50 }, (_, i) => client.send('echo', i));
+        expect(client.pendingCount).toBe(50);
+        const ids = sendFrame.mock.calls.map(([frame]) => frame.id);
+        expect(new Set(ids).size).toBe(50);
+        await expect(Promise.all(requests)).resolves.toEqual(Array.from({ length: 50 }, (_, i) => i));
+        expect(client.pendingCount).toBe(0);
+    });
+
+    test('rejects requests in flight when the connection drops', async () => {
+        await client.open();
+        const request = client.send('silent', {});
+        expect(client.pendingCount).toBe(1);
+        client.close();
+        await expect(request).rejects.toMatchObject({ code: 'CONNECTION_CLOSED' });
+        expect(client.pendingCount).toBe(0);
     });
 
     // Utility to wait for server to be ready
@@ -67,15 +116,14 @@ describe('WSClient', () => {
 
     test('stream receives data and can be stopped', async () => {
         await waitForOpen(client);
-        // Patch server to send multiple responses
-        const orig = server.methodList['echo'];
-        server.on('echo', (payload, respond) => {
+        // Register a method that sends multiple responses
+        server.on('chars', (payload, respond) => {
             setTimeout(() => respond('a'), 10);
             setTimeout(() => respond('b'), 20);
             setTimeout(() => respond('c'), 100);
         });
         const cb = jest.fn();
-        const stop = await client.stream('echo', {}, cb);
+        const stop = await client.stream('chars', {}, cb);
         // Wait for both responses
         await new Promise((r) => setTimeout(r, 50));
         expect(cb).toHaveBeenCalledWith('a');
@@ -84,8 +132,810 @@ describe('WSClient', () => {
         expect(cb).not.toHaveBeenCalledWith('c');
     });
 
+    test('stream calls onEnd when the server ends it', async () => {
+        server.on('finite', (payload, respond, ctx) => {
+            ctx.next(1);
+            ctx.next(2);
+            ctx.end();
+        });
+        const cb = jest.fn();
+        await new Promise((onEnd) => client.stream('finite', {}, cb, { onEnd }));
+        expect(cb.mock.calls).toEqual([[1], [2]]);
+        expect(client.onMessageListeners).toHaveLength(0);
+        expect(client.pendingCount).toBe(0);
+    });
+
+    test('stream calls onError with a WSRemoteError', async () => {
+        server.on('broken-stream', (payload, respond, ctx) => {
+            ctx.error(new WSError('Source gone', { code: 'UNAVAILABLE' }));
+        });
+        const error = await new Promise((onError) => client.stream('broken-stream', {}, () => {}, { onError }));
+        expect(error).toBeInstanceOf(WSRemoteError);
+        expect(error.code).toBe('UNAVAILABLE');
+        expect(client.onMessageListeners).toHaveLength(0);
+    });
+
+    test('stopping a stream cancels the server handler', async () => {
+        let aborted;
+        const abortedPromise = new Promise((resolve) => { aborted = resolve; });
+        server.on('endless', (payload, respond, ctx) => {
+            const timer = setInterval(() => ctx.next('tick'), 5);
+            ctx.signal.addEventListener('abort', () => {
+                clearInterval(timer);
+                aborted();
+            });
+        });
+        const cb = jest.fn();
+        const stop = await client.stream('endless', {}, cb);
+        await new Promise((r) => setTimeout(r, 20));
+        stop();
+        await abortedPromise;
+        expect(cb).toHaveBeenCalledWith('tick');
+    });
+
+    test('aborting a request rejects it and cancels the server handler', async () => {
+        let aborted;
+        const abortedPromise = new Promise((resolve) => { aborted = resolve; });
+        server.on('slow', (payload, respond, ctx) => new Promise((resolve) => {
+            const timer = setTimeout(() => resolve('late'), 1000);
+            ctx.signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                aborted(ctx.signal.reason);
+            });
+        }));
+        await client.open();
+        const controller = new AbortController();
+        const request = client.send('slow', {}, { signal: controller.signal });
+        await new Promise((r) => setTimeout(r, 20));
+        controller.abort('changed my mind');
+        const error = await request.catch(e => e);
+        expect(error).toBeInstanceOf(AbortError);
+        expect(error.name).toBe('AbortError');
+        expect(error.code).toBe('CANCELLED');
+        expect(error.reason).toBe('changed my mind');
+        await expect(abortedPromise).resolves.toMatchObject({ code: 'CANCELLED' });
+        expect(client.onMessageListeners).toHaveLength(0);
+    });
+
+    test('rejects without sending when the signal is already aborted', async () => {
+        await client.open();
+        const sendFrame = jest.spyOn(client, '_sendFrame');
+        const controller = new AbortController();
+        controller.abort();
+        await expect(client.send('echo', 1, { signal: controller.signal })).rejects.toBeInstanceOf(AbortError);
+        expect(sendFrame).not.toHaveBeenCalled();
+    });
+
+    test('aborting a queued request drops it from the queue', async () => {
+        const controller = new AbortController();
+        const request = client.send('echo', 1, { signal: controller.signal });
+        expect(client.queue).toHaveLength(1);
+        controller.abort();
+        await expect(request).rejects.toBeInstanceOf(AbortError);
+        expect(client.queue).toHaveLength(0);
+    });
+
+    test('iterate yields stream items with for await', async () => {
+        server.on('letters', (payload, respond, ctx) => {
+            ['a', 'b', 'c'].forEach(ctx.next);
+            ctx.end();
+        });
+        const items = [];
+        for await (const item of client.iterate('letters', {})) {
+            items.push(item);
+        }
+        expect(items).toEqual(['a', 'b', 'c']);
+    });
+
+    test('breaking out of iterate cancels the server handler', async () => {
+        const aborted = new Promise((resolve) => {
+            server.on('numbers', (payload, respond, ctx) => {
+                let n = 0;
+                const timer = setInterval(() => ctx.next(n++), 5);
+                ctx.signal.addEventListener('abort', () => {
+                    clearInterval(timer);
+                    resolve();
+                });
+            });
+        });
+        for await (const n of client.iterate('numbers', {})) {
+            if (n === 2) break;
+        }
+        await aborted;
+        expect(client.onMessageListeners).toHaveLength(0);
+    });
+
+    test('receives events pushed by the server', async () => {
+        await client.open();
+        const received = new Promise((resolve) => client.on('news', resolve));
+        server.broadcast('news', { title: 'hello' });
+        await expect(received).resolves.toEqual({ title: 'hello' });
+    });
+
+    test('pushes to a room only reach its members', async () => {
+        const other = new WSClient({ url, reconnect: false });
+        server.on('subscribe', (room, respond, ctx) => {
+            server.join(ctx.connectionId, room);
+            return true;
+        });
+        await client.send('subscribe', 'sports');
+        await other.open();
+        const onOther = jest.fn();
+        other.on('score', onOther);
+        const received = new Promise((resolve) => client.on('score', resolve));
+        server.to('sports').emit('score', '1-0');
+        await expect(received).resolves.toBe('1-0');
+        expect(onOther).not.toHaveBeenCalled();
+        other.close();
+    });
+
+    test('ignores pushes that use reserved event names', async () => {
+        await client.open();
+        const onOpen = jest.fn();
+        client.on('open', onOpen);
+        const received = new Promise((resolve) => client.on('after', resolve));
+        server.broadcast('open', 'fake');
+        server.broadcast('after', 'done');
+        await received;
+        expect(onOpen).not.toHaveBeenCalled();
+    });
+
+    test('answers methods called by the server', async () => {
+        await client.open();
+        client.on('report', (payload) => ({ jobs: 3, verbose: payload.verbose }));
+        client.on('run', async (job) => `ran ${job}`);
+        client.on('fail', () => { throw new WSError('Busy', { code: 'BUSY' }); });
+        client.on('crash', async () => { throw new Error('secret'); });
+        const connection = [...server.connections.values()].at(-1);
+
+        await expect(connection.send('report', { verbose: true })).resolves.toEqual({ jobs: 3, verbose: true });
+        await expect(connection.send('run', 'build')).resolves.toBe('ran build');
+        await expect(connection.send('fail')).rejects.toMatchObject({ code: 'BUSY', message: 'Busy' });
+        await expect(connection.send('crash')).rejects.toMatchObject({ code: 'INTERNAL_ERROR', message: 'Method handler error' });
+        await expect(connection.send('missing')).rejects.toMatchObject({ code: 'METHOD_NOT_FOUND' });
+        await expect(connection.send('open')).rejects.toMatchObject({ code: 'METHOD_NOT_FOUND' });
+    });
+
     test('handles server handler error', async () => {
         await waitForOpen(client);
-        await expect(client.send('error', {})).resolves.toBeUndefined();
+        await expect(client.send('error', {})).rejects.toThrow(new WSRemoteError('Method handler error'));
     }, 10000);
-});
\ No newline at end of file
+});
+
+describe('WSClient across reconnects', () => {
+    let server;
+    let client;
+    let port;
+
+    const startServer = () => {
+        server = new WSServer({ port });
+        server.on('echo', (payload) => payload);
+        server.on('feed', (payload, respond, ctx) => {
+            ctx.next(`${payload}-1`);
+        });
+    };
+
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        server = new WSServer({ port: 0 });
+        port = server.ws.address().port;
+        server.close({ timeout: 0 });
+    });
+
+    afterEach(async () => {
+        client.close();
+        await server.close({ timeout: 0 });
+        // let the aborted handshake report its error before console is restored
+        await new Promise((r) => setTimeout(r, 20));
+        console.error.mockRestore();
+    });
+
+    test('queues messages while disconnected and flushes them on reconnect', async () => {
+        client = new WSClient({ url: `ws://localhost:${port}` });
+        const response = client.send('echo', 'queued');
+        expect(client.queue).toHaveLength(1);
+        startServer();
+        await expect(response).resolves.toBe('queued');
+        expect(client.queue).toHaveLength(0);
+    }, 10000);
+
+    test('rejects with QUEUE_FULL when the queue is full', async () => {
+        client = new WSClient({ url: `ws://localhost:${port}`, queueSize: 1 });
+        const first = client.send('echo', 1);
+        await expect(client.send('echo', 2)).rejects.toMatchObject({ code: 'QUEUE_FULL' });
+        client.close();
+        await expect(first).rejects.toMatchObject({ code: 'CONNECTION_CLOSED' });
+    });
+
+    test('drops a queued request once it times out', async () => {
+        client = new WSClient({ url: `ws://localhost:${port}` });
+        await expect(client.send('job', 'late', { timeout: 20 })).rejects.toThrow('Request Timeout');
+        expect(client.queue).toHaveLength(0);
+        startServer();
+        const handler = jest.fn((payload) => payload);
+        server.on('job', handler);
+        await expect(client.send('echo', 'next')).resolves.toBe('next');
+        expect(handler).not.toHaveBeenCalled();
+    }, 10000);
+
+    test('drops queued messages after their TTL', async () => {
+        client = new WSClient({ url: `ws://localhost:${port}`, queueTTL: 50 });
+        await expect(client.send('echo', 1)).rejects.toMatchObject({ code: 'QUEUE_TIMEOUT' });
+        expect(client.queue).toHaveLength(0);
+    });
+
+    test('fails streams when the connection drops', async () => {
+        startServer();
+        client = new WSClient({ url: `ws://localhost:${port}` });
+        const onError = jest.fn();
+        const first = new Promise((resolve) => client.stream('feed', 'a', resolve, { onError }));
+        await first;
+        await server.close({ timeout: 0 });
+        await new Promise((r) => setTimeout(r, 50));
+        expect(onError).toHaveBeenCalledWith(expect.objectContaining({ code: 'CONNECTION_CLOSED' }));
+        expect(client.streams.size).toBe(0);
+    });
+
+    test('fails resubscribing streams when the client is closed', async () => {
+        startServer();
+        client = new WSClient({ url: `ws://localhost:${port}`, resubscribe: true });
+        const onError = jest.fn();
+        const first = new Promise((resolve) => client.stream('feed', 'a', resolve, { onError }));
+        await first;
+        client.close();
+        expect(onError).toHaveBeenCalledWith(expect.objectContaining({ code: 'CONNECTION_CLOSED' }));
+        expect(client.pendingCount).toBe(0);
+        expect(client.streams.size).toBe(0);
+    });
+
+    test('fails resubscribing streams once reconnect attempts run out', async () => {
+        startServer();
+        client = new WSClient({
+            url: `ws://localhost:${port}`, resubscribe: true, backoff: { initialDelay: 10, maxAttempts: 1 },
+        });
+        const onError = jest.fn();
+        const first = new Promise((resolve) => client.stream('feed', 'a', resolve, { onError }));
+        await first;
+        const closed = new Promise((resolve) => client.on('statechange', (state) => state === 'closed' && resolve()));
+        await server.close({ timeout: 0 });
+        await closed;
+        expect(onError).toHaveBeenCalledWith(expect.objectContaining({
+            code: 'CONNECTION_CLOSED', message: 'Reconnect attempts exhausted',
+        }));
+        expect(client.pendingCount).toBe(0);
+    }, 10000);
+
+    test('re-issues streams after reconnect when resubscribe is set', async () => {
+        startServer();
+        client = new WSClient({ url: `ws://localhost:${port}`, resubscribe: true });
+        const cb = jest.fn();
+        let received;
+        const receive = () => new Promise((resolve) => { received = resolve; });
+        let next = receive();
+        await client.stream('feed', 'a', (data) => {
+            cb(data);
+            received();
+        });
+        await next;
+        next = receive();
+        await server.close({ timeout: 0 });
+        startServer();
+        await next;
+        expect(cb).toHaveBeenCalledTimes(2);
+        expect(client.streams.size).toBe(1);
+    }, 10000);
+});
+
+
+describe('WSClient connection state', () => {
+    let server;
+    let client;
+    let port;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        server = new WSServer({ port: 0 });
+        port = server.ws.address().port;
+    });
+
+    afterEach(async () => {
+        client.close();
+        await server.close({ timeout: 0 });
+        await new Promise((r) => setTimeout(r, 20));
+        console.error.mockRestore();
+        jest.restoreAllMocks();
+    });
+
+    test('computes exponential backoff delays capped at maxDelay', () => {
+        client = new WSClient({
+            url: `ws://localhost:${port}`,
+            backoff: { initialDelay: 100, multiplier: 3, maxDelay: 1000, jitter: 0 },
+        });
+        expect(client._reconnectDelay(0)).toBe(100);
+        expect(client._reconnectDelay(1)).toBe(300);
+        expect(client._reconnectDelay(2)).toBe(900);
+        expect(client._reconnectDelay(3)).toBe(1000);
+    });
+
+    test('takes a random share of the delay off with jitter', () => {
+        client = new WSClient({
+            url: `ws://localhost:${port}`,
+            backoff: { initialDelay: 1000, jitter: 0.5 },
+        });
+        jest.spyOn(Math, 'random').mockReturnValue(1);
+        expect(client._reconnectDelay(0)).toBe(500);
+        Math.random.mockReturnValue(0);
+        expect(client._reconnectDelay(0)).toBe(1000);
+    });
+
+    test('emits statechange, disconnect and reconnect events', async () => {
+        client = new WSClient({ url: `ws://localhost:${port}`, backoff: { initialDelay: 20 } });
+        const states = [];
+        client.on('statechange', (state) => states.push(state));
+        const onDisconnect = jest.fn();
+        client.on('disconnect', onDisconnect);
+        await client.open();
+
+        const reconnected = new Promise((resolve) => client.on('reconnect', resolve));
+        server.ws.clients.forEach((socket) => socket.terminate());
+        await reconnected;
+
+        expect(onDisconnect).toHaveBeenCalledTimes(1);
+        expect(states).toEqual(['open', 'reconnecting', 'open']);
+        expect(client.state).toBe('open');
+    });
+
+    test('schedules one reconnect per failure and gives up after maxAttempts', async () => {
+        await server.close({ timeout: 0 });
+        const connect = jest.spyOn(WSClient.prototype, 'connect');
+        client = new WSClient({
+            url: `ws://localhost:${port}`,
+            backoff: { initialDelay: 10, jitter: 0, maxAttempts: 3 },
+        });
+        const pending = client.send('echo', 1);
+        await expect(client.open()).rejects.toMatchObject({ code: 'CONNECTION_CLOSED' });
+        await expect(pending).rejects.toMatchObject({ code: 'CONNECTION_CLOSED' });
+        expect(connect).toHaveBeenCalledTimes(4);
+        expect(client.state).toBe('closed');
+    });
+
+    test('onConnect returns a function that removes the callback', async () => {
+        client = new WSClient({ url: `ws://localhost:${port}`, reconnect: false });
+        const callback = jest.fn();
+        const off = client.onConnect(callback);
+        off();
+        await client.open();
+        expect(callback).not.toHaveBeenCalled();
+    });
+
+    test('measures latency with heartbeat pings', async () => {
+        client = new WSClient({ url: `ws://localhost:${port}`, heartbeat: { interval: 10, timeout: 500 } });
+        await client.open();
+        await new Promise((r) => setTimeout(r, 50));
+        expect(typeof client.latency).toBe('number');
+        expect(client.state).toBe('open');
+    });
+
+    test('reconnects when heartbeat pongs stop arriving', async () => {
+        // a bare server that never answers application pings
+        const silent = new WebSocketServer({ port: 0 });
+        client = new WSClient({
+            url: `ws://localhost:${silent.address().port}`,
+            heartbeat: { interval: 10, timeout: 30 },
+            backoff: { initialDelay: 1000 },
+        });
+        await client.open();
+        const onDisconnect = jest.fn();
+        client.on('disconnect', onDisconnect);
+        await new Promise((resolve) => client.on('statechange', (state) => state === 'reconnecting' && resolve()));
+        expect(onDisconnect).toHaveBeenCalledWith(expect.objectContaining({ reason: 'Heartbeat timeout' }));
+        client.close();
+        await new Promise((resolve) => silent.close(resolve));
+    });
+
+    test('close moves the client to the closed state', async () => {
+        client = new WSClient({ url: `ws://localhost:${port}` });
+        await client.open();
+        client.close();
+        expect(client.state).toBe('closed');
+        await expect(client.send('echo', 1)).rejects.toMatchObject({ code: 'CONNECTION_CLOSED' });
+    });
+});
+
+
+describe('WSClient authentication', () => {
+    let server;
+    let client;
+
+    const users = { 'token-1': { name: 'alice' }, 'token-2': { name: 'bob' } };
+    const authenticate = ({ query, headers, credentials }) => {
+        const token = credentials || query.token || headers.authorization;
+        return users[token] || false;
+    };
+
+    afterEach(async () => {
+        client.close();
+        await server.close({ timeout: 0 });
+        await new Promise((r) => setTimeout(r, 20));
+        jest.restoreAllMocks();
+    });
+
+    test('sends credentials in the query string', async () => {
+        server = new WSServer({ port: 0, authenticate });
+        server.on('whoami', (payload, respond, ctx) => ctx.user.name);
+        client = new WSClient({
+            url: `ws://localhost:${server.ws.address().port}`,
+            auth: { credentials: 'token-1', mode: 'query' },
+        });
+        await expect(client.send('whoami')).resolves.toBe('alice');
+    });
+
+    test('rejects the upgrade when query credentials are wrong', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        server = new WSServer({ port: 0, authenticate });
+        client = new WSClient({
+            url: `ws://localhost:${server.ws.address().port}`,
+            reconnect: false,
+            auth: { credentials: 'nope', mode: 'query' },
+        });
+        await expect(client.open()).rejects.toMatchObject({ code: 'CONNECTION_CLOSED' });
+        expect(server.connections.size).toBe(0);
+    });
+
+    test('authenticates with a first auth message', async () => {
+        server = new WSServer({ port: 0, authenticate, authMessage: true });
+        server.on('whoami', (payload, respond, ctx) => ({
+            name: ctx.user.name,
+            connectionId: ctx.connectionId,
+        }));
+        client = new WSClient({
+            url: `ws://localhost:${server.ws.address().port}`,
+            auth: { credentials: 'token-2', timeout: 500 },
+        });
+        const response = await client.send('whoami');
+        expect(response.name).toBe('bob');
+        expect(response.connectionId).toBe([...server.connections.values()][0].id);
+    });
+
+    test('emits error and closes when the auth message is rejected', async () => {
+        server = new WSServer({ port: 0, authenticate, authMessage: true });
+        client = new WSClient({
+            url: `ws://localhost:${server.ws.address().port}`,
+            auth: { credentials: 'nope', timeout: 500 },
+        });
+        const onError = jest.fn();
+        client.on('error', onError);
+        const pending = expect(client.send('whoami')).rejects.toMatchObject({ code: 'UNAUTHORIZED' });
+        await expect(client.open()).rejects.toMatchObject({ code: 'CONNECTION_CLOSED' });
+        await pending;
+        expect(onError).toHaveBeenCalledWith(expect.objectContaining({ code: 'UNAUTHORIZED' }));
+        expect(client.state).toBe('closed');
+    });
+
+    test('refreshes credentials on reconnect', async () => {
+        server = new WSServer({ port: 0, authenticate, authMessage: true });
+        server.on('whoami', (payload, respond, ctx) => ctx.user.name);
+        const tokens = ['token-1', 'token-2'];
+        const credentials = jest.fn(async () => tokens.shift());
+        client = new WSClient({
+            url: `ws://localhost:${server.ws.address().port}`,
+            backoff: { initialDelay: 10 },
+            auth: { credentials, timeout: 500 },
+        });
+        await expect(client.send('whoami')).resolves.toBe('alice');
+        const reconnected = new Promise((resolve) => client.on('reconnect', resolve));
+        server.ws.clients.forEach((socket) => socket.terminate());
+        await reconnected;
+        await expect(client.send('whoami')).resolves.toBe('bob');
+        expect(credentials).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('WSClient over JSON-RPC', () => {
+    let server;
+    let client;
+
+    beforeEach(() => {
+        server = new WSServer({ port: 0, protocol: 'jsonrpc' });
+        server.on('sum', (numbers) => numbers.reduce((a, b) => a + b, 0));
+        server.on('forbidden', () => {
+            throw new WSError('Not allowed', { code: 'FORBIDDEN', details: { role: 'guest' } });
+        });
+        client = new WSClient({
+            url: `ws://localhost:${server.ws.address().port}`,
+            reconnect: false,
+            protocol: 'jsonrpc',
+        });
+    });
+
+    afterEach(async () => {
+        client.close();
+        await server.close({ timeout: 0 });
+    });
+
+    test('sends requests and receives results', async () => {
+        await expect(client.send('sum', [1, 2])).resolves.toBe(3);
+    });
+
+    test('rejects with the error code sent by the server', async () => {
+        const error = await client.send('forbidden').catch(e => e);
+        expect(error).toBeInstanceOf(WSRemoteError);
+        expect(error).toMatchObject({ code: 'FORBIDDEN', details: { role: 'guest' }, message: 'Not allowed' });
+        await expect(client.send('missing')).rejects.toMatchObject({ code: 'METHOD_NOT_FOUND' });
+    });
+
+    test('sends batches as a single message', async () => {
+        await client.open();
+        const connection = [...server.connections.values()].at(-1);
+        const handleBatch = jest.spyOn(server, 'handleBatch');
+        const results = client.batch([['sum', [1, 2]], ['sum', [3, 4]]]);
+        await expect(results).resolves.toEqual([3, 7]);
+        expect(handleBatch).toHaveBeenCalledWith(connection, expect.any(Array));
+        await expect(client.batch([['sum', [1]], ['missing']])).rejects.toMatchObject({ code: 'METHOD_NOT_FOUND' });
+    });
+
+    test('sends notifications and receives pushes', async () => {
+        const received = new Promise((resolve) => client.on('news', resolve));
+        server.on('subscribe', (topic, respond, ctx) => {
+            ctx.connection.emit('news', topic);
+        });
+        client.notify('subscribe', 'sports');
+        await expect(received).resolves.toBe('sports');
+    });
+
+    test('answers server calls whose handler returns nothing with null', async () => {
+        const doWork = jest.fn();
+        client.on('doWork', doWork);
+        await client.open();
+        const connection = [...server.connections.values()].at(-1);
+        await expect(connection.send('doWork', 'job', { timeout: 1000 })).resolves.toBeNull();
+        expect(doWork).toHaveBeenCalledWith('job', expect.any(Function));
+    });
+
+    test('refuses to open streams', async () => {
+        await expect(client.stream('sum', [1], jest.fn())).rejects.toThrow('Streams are not supported by the jsonrpc protocol');
+    });
+});
+
+describe('WSClient codecs', () => {
+    let server;
+    let client;
+
+    const connect = (codec, serverOptions = {}) => {
+        server = new WSServer({ port: 0, ...serverOptions });
+        server.on('echo', (payload) => payload);
+        server.on('codec', (payload, respond, ctx) => ctx.connection.codec.name);
+        client = new WSClient({ url: `ws://localhost:${server.ws.address().port}`, reconnect: false, codec });
+    };
+
+    afterEach(async () => {
+        client.close();
+        await server.close({ timeout: 0 });
+    });
+
+    test('does not negotiate when only JSON is used', async () => {
+        connect('json');
+        await client.open();
+        expect(client.socket.protocol).toBe('');
+        await expect(client.send('codec')).resolves.toBe('json');
+    });
+
+    test('sends rich values in binary frames with the binary codec', async () => {
+        connect('binary');
+        await client.open();
+        expect(client.codec.name).toBe('binary');
+        const connection = [...server.connections.values()].at(-1);
+        const send = jest.spyOn(connection.socket, 'send');
+        const payload = {
+            buffer: Buffer.from('hi'),
+            when: new Date('2024-05-06T07:08:09Z'),
+            map: new Map([['a', 1]]),
+            big: 2n ** 64n,
+        };
+        const response = await client.send('echo', payload);
+        expect(response).toEqual({ ...payload, buffer: new Uint8Array(Buffer.from('hi')) });
+        expect(send.mock.calls[0][0]).toBeInstanceOf(Uint8Array);
+    });
+
+    test('falls back to the next codec the server supports', async () => {
+        connect(['binary', 'json'], { codecs: ['json'] });
+        await client.open();
+        expect(client.codec.name).toBe('json');
+        await expect(client.send('codec')).resolves.toBe('json');
+    });
+});
+
+describe('WSClient chunked transfers', () => {
+    let server;
+    let client;
+
+    beforeEach(() => {
+        server = new WSServer({ port: 0, chunkSize: 1000 });
+        server.on('size', (payload) => payload.length);
+        server.on('download', (length) => 'y'.repeat(length));
+        server.on('never', () => new Promise(() => {}));
+        client = new WSClient({ url: `ws://localhost:${server.ws.address().port}`, reconnect: false, chunkSize: 1000 });
+    });
+
+    afterEach(async () => {
+        client.close();
+        await server.close({ timeout: 0 });
+    });
+
+    test('uploads a large payload in chunks with progress', async () => {
+        await client.open();
+        const onProgress = jest.fn();
+        await expect(client.send('size', 'x'.repeat(5000), { onProgress })).resolves.toBe(5000);
+        const uploads = onProgress.mock.calls.map(([progress]) => progress);
+        expect(uploads.length).toBeGreaterThan(4);
+        expect(uploads.every(({ direction }) => direction === 'upload')).toBe(true);
+        expect(uploads.at(-1)).toMatchObject({ loaded: uploads.at(-1).total });
+    });
+
+    test('downloads a large response in chunks with progress', async () => {
+        const onProgress = jest.fn();
+        await expect(client.send('download', 5000, { onProgress })).resolves.toBe('y'.repeat(5000));
+        const downloads = onProgress.mock.calls.map(([progress]) => progress).filter(({ direction }) => direction === 'download');
+        expect(downloads.length).toBeGreaterThan(4);
+        expect(downloads.at(-1).loaded).toBe(downloads.at(-1).total);
+    });
+
+    test('answers small requests while a large upload is under way', async () => {
+        await client.open();
+        const order = [];
+        const upload = client.send('size', 'x'.repeat(20000)).then(() => order.push('upload'));
+        const small = client.send('size', 'abc').then(() => order.push('small'));
+        await Promise.all([upload, small]);
+        expect(order).toEqual(['small', 'upload']);
+    });
+
+    test('stops an upload that times out and lets the server drop it', async () => {
+        await client.open();
+        const connection = [...server.connections.values()].at(-1);
+        const receive = jest.spyOn(connection.chunker, 'receive');
+        await expect(client.send('never', 'x'.repeat(100000), { timeout: 5 })).rejects.toThrow('Request Timeout');
+        await new Promise((r) => setTimeout(r, 50));
+        expect(receive).toHaveBeenCalledWith(expect.objectContaining({ abort: true }));
+        expect(connection.chunker.incoming.size).toBe(0);
+        expect(client._chunker.lanes.size).toBe(0);
+    });
+});
+
+describe('WSClient topics', () => {
+    let server;
+    let client;
+
+    const waitFor = async (check, time = 2000) => {
+        const deadline = Date.now() + time;
+        while (!check()) {
+            if (Date.now() > deadline) throw new Error('Condition not met in time');
+            await new Promise((r) => setTimeout(r, 5));
+        }
+    };
+
+    const connect = (options = {}) => {
+        client = new WSClient({
+            url: `ws://localhost:${server.ws.address().port}`,
+            backoff: { initialDelay: 10, jitter: 0 },
+            ...options,
+        });
+    };
+
+    beforeEach(async () => {
+        server = new WSServer({ port: 0, topics: { names: ['sports'] } });
+        for (const data of ['a', 'b', 'c']) await server.publish('news', data);
+    });
+
+    afterEach(async () => {
+        client.close();
+        await server.close({ timeout: 0 });
+    });
+
+    test('receives the messages published after subscribing', async () => {
+        connect();
+        const received = [];
+        await client.subscribe('news', (data, { offset }) => received.push([offset, data]));
+        await server.publish('news', 'd');
+        await waitFor(() => received.length === 1);
+        expect(received).toEqual([[3, 'd']]);
+    });
+
+    test('replays from an offset or the last messages', async () => {
+        connect();
+        const fromOne = [];
+        const lastOne = [];
+        await client.subscribe('news', (data) => fromOne.push(data), { from: 1 });
+        await client.subscribe('sports', (data) => lastOne.push(data), { last: 1 });
+        await server.publish('sports', 'goal');
+        await waitFor(() => fromOne.length === 2 && lastOne.length === 1);
+        expect(fromOne).toEqual(['b', 'c']);
+        expect(lastOne).toEqual(['goal']);
+    });
+
+    test('acknowledges messages once their callback is done', async () => {
+        connect({ consumer: 'dashboard' });
+        const received = [];
+        await client.subscribe('news', async (data) => {
+            await new Promise((r) => setTimeout(r, 5));
+            received.push(data);
+        }, { from: 0 });
+        const topic = server.topic('news');
+        await waitFor(() => topic.cursors.get('dashboard') === 3);
+        expect(received).toEqual(['a', 'b', 'c']);
+    });
+
+    test('delivers unacknowledged messages again after a reconnect', async () => {
+        connect({ consumer: 'worker' });
+        const received = [];
+        let ackFirst;
+        await client.subscribe('news', (data, { ack }) => {
+            received.push(data);
+            if (data === 'a') ackFirst = ack;
+        }, { from: 0, ack: false });
+        await waitFor(() => received.length === 3);
+        ackFirst();
+        const topic = server.topic('news');
+        await waitFor(() => topic.cursors.get('worker') === 1);
+
+        const reconnected = new Promise((resolve) => client.on('reconnect', resolve));
+        [...server.connections.values()][0].socket.terminate();
+        await reconnected;
+        await server.publish('news', 'd');
+        await waitFor(() => received.length === 6);
+        expect(received).toEqual(['a', 'b', 'c', 'b', 'c', 'd']);
+    });
+
+    test('stops receiving messages after unsubscribing', async () => {
+        connect();
+        const callback = jest.fn();
+        const unsubscribe = await client.subscribe('news', callback);
+        await expect(client.subscribe('news', callback)).rejects.toMatchObject({ code: 'INVALID_REQUEST' });
+        unsubscribe();
+        await waitFor(() => server.topic('news').subscriptions.size === 0);
+        await server.publish('news', 'd');
+        await new Promise((r) => setTimeout(r, 20));
+        expect(callback).not.toHaveBeenCalled();
+        expect(client.topics.size).toBe(0);
+    });
+
+    test('reports callback errors to onError', async () => {
+        connect();
+        const onError = jest.fn();
+        await client.subscribe('news', () => { throw new Error('bad message'); }, { last: 1, onError });
+        await waitFor(() => onError.mock.calls.length === 1);
+        expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'bad message' }));
+    });
+
+    test('rejects a subscription the server refuses', async () => {
+        connect();
+        await expect(client.subscribe('', jest.fn())).rejects.toMatchObject({ code: 'INVALID_PARAMS' });
+        await expect(client.subscribe('weather', jest.fn())).rejects.toMatchObject({ code: 'TOPIC_NOT_FOUND' });
+        expect(client.topics.size).toBe(0);
+        expect(server.topics.has('weather')).toBe(false);
+    });
+
+    test('picks a consumer name on the first subscribe, without crypto if need be', async () => {
+        const descriptor = Object.getOwnPropertyDescriptor(globalThis, 'crypto');
+        Object.defineProperty(globalThis, 'crypto', { value: undefined, configurable: true });
+        try {
+            connect();
+            expect(client.consumer).toBeUndefined();
+            await client.subscribe('news', jest.fn());
+        } finally {
+            Object.defineProperty(globalThis, 'crypto', descriptor);
+        }
+        expect(client.consumer).toEqual(expect.any(String));
+        expect(server.topic('news').cursors.has(client.consumer)).toBe(true);
+    });
+
+    test('follows topics over JSON-RPC', async () => {
+        await server.close({ timeout: 0 });
+        server = new WSServer({ port: 0, topics: true, protocol: 'jsonrpc' });
+        await server.publish('news', 'a');
+        connect({ protocol: 'jsonrpc', consumer: 'rpc' });
+        const received = [];
+        await client.subscribe('news', (data) => received.push(data), { from: 0 });
+        await waitFor(() => server.topic('news').cursors.get('rpc') === 1);
+        expect(received).toEqual(['a']);
+    });
+});
@@ -0,0 +1,96 @@
+import { JsonCodec, BinaryCodec, createCodec } from '../../driver/wscodec.js';
+
+describe('JsonCodec', () => {
+    test('encodes to text and decodes text or bytes', () => {
+        const codec = new JsonCodec();
+        expect(codec.encode({ a: 1 })).toBe('{"a":1}');
+        expect(codec.decode('{"a":1}')).toEqual({ a: 1 });
+        expect(codec.decode(Buffer.from('{"a":1}'))).toEqual({ a: 1 });
+        expect(codec.decode(new TextEncoder().encode('[1]').buffer)).toEqual([1]);
+        expect(() => codec.decode('{')).toThrow(SyntaxError);
+    });
+});
+
+describe('BinaryCodec', () => {
+    let codec;
+
+    const roundTrip = (value) => codec.decode(codec.encode(value));
+
+    beforeEach(() => {
+        codec = new BinaryCodec();
+    });
+
+    test('round-trips JSON values', () => {
+        const value = {
+            id: 'a1', n: [0, 1, 127, 128, -1, -128, -129, 40000, -40000, 2 ** 31, -(2 ** 31), 2 ** 53, 1.5, -0.25],
+            ok: true, no: false, none: null, text: 'héllo ✓', nested: { list: [{}, []] },
+        };
+        expect(roundTrip(value)).toEqual(value);
+    });
+
+    test('round-trips values JSON can not hold', () => {
+        const value = {
+            missing: undefined,
+            big: 2n ** 100n,
+            negative: -5n,
+            when: new Date('2024-01-02T03:04:05.678Z'),
+            map: new Map([[1, 'one'], ['two', { n: 2 }]]),
+            set: new Set(['a', 'b']),
+        };
+        const decoded = roundTrip(value);
+        expect(decoded).toEqual(value);
+        expect('missing' in decoded).toBe(true);
+        expect(decoded.when).toBeInstanceOf(Date);
+    });
+
+    test('carries binary data as Uint8Array', () => {
+        const bytes = new Uint8Array([0, 1, 2, 255]);
+        expect(roundTrip(Buffer.from(bytes))).toEqual(bytes);
+        expect(roundTrip(bytes.buffer)).toEqual(bytes);
+        expect(roundTrip(new Uint16Array([1, 2]))).toEqual(new Uint8Array(new Uint16Array([1, 2]).buffer));
+        expect(roundTrip(Buffer.from(bytes))).toBeInstanceOf(Uint8Array);
+    });
+
+    test('writes small values compactly', () => {
+        expect(codec.encode(5)).toEqual(new Uint8Array([5]));
+        expect(codec.encode([1, 2, 3]).length).toBe(5);
+        expect(codec.encode({ id: 1, data: 1000 }).length).toBeLessThan(JSON.stringify({ id: 1, data: 1000 }).length);
+    });
+
+    test('handles messages larger than the initial buffer', () => {
+        const value = { text: 'x'.repeat(1000), list: Array.from({ length: 300 }, (_, i) => i * 1000) };
+        expect(roundTrip(value)).toEqual(value);
+    });
+
+    test('decodes ArrayBuffers and views at an offset', () => {
+        const encoded = codec.encode({ a: 1 });
+        const padded = new Uint8Array(encoded.length + 3);
+        padded.set(encoded, 3);
+        expect(codec.decode(padded.subarray(3))).toEqual({ a: 1 });
+        expect(codec.decode(encoded.buffer)).toEqual({ a: 1 });
+    });
+
+    test('keeps __proto__ keys as own properties', () => {
+        const decoded = roundTrip(JSON.parse('{"__proto__": {"polluted": true}}'));
+        expect(decoded.polluted).toBeUndefined();
+        expect(Object.keys(decoded)).toEqual(['__proto__']);
+    });
+
+    test('rejects what it can not encode or decode', () => {
+        expect(() => codec.encode({ fn: () => {} })).toThrow('Binary codec can not encode a function');
+        expect(() => codec.decode('text')).toThrow(TypeError);
+        expect(() => codec.decode(new Uint8Array([0xd9, 5, 97]))).toThrow(RangeError);
+        expect(() => codec.decode(new Uint8Array([1, 2]))).toThrow('Unexpected data after binary message');
+        expect(() => codec.decode(new Uint8Array([0xff]))).toThrow('Unknown binary type tag 0xff');
+    });
+});
+
+describe('createCodec', () => {
+    test('builds codecs by name and accepts codec objects', () => {
+        expect(createCodec()).toBeInstanceOf(JsonCodec);
+        expect(createCodec('binary')).toBeInstanceOf(BinaryCodec);
+        const custom = { name: 'custom', encode: String, decode: String };
+        expect(createCodec(custom)).toBe(custom);
+        expect(() => createCodec('xml')).toThrow('Unknown codec "xml"');
+    });
+});
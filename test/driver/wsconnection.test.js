@@ -0,0 +1,81 @@
+import WSConnection from '../../driver/wsconnection.js';
+import { WSRemoteError } from '../../driver/wserror.js';
+
+describe('WSConnection', () => {
+    let socket;
+    let connection;
+
+    beforeEach(() => {
+        socket = { send: jest.fn(), ping: jest.fn(), terminate: jest.fn() };
+        connection = new WSConnection(socket, { socket: { remoteAddress: '10.0.0.1' } });
+    });
+
+    const lastFrame = () => JSON.parse(socket.send.mock.calls.at(-1)[0]);
+
+    test('assigns a unique ID and exposes the remote address', () => {
+        const other = new WSConnection(socket);
+        expect(connection.id).toEqual(expect.any(String));
+        expect(connection.id).not.toBe(other.id);
+        expect(connection.remoteAddress).toBe('10.0.0.1');
+        expect(other.remoteAddress).toBeUndefined();
+    });
+
+    test('emit pushes an event frame', () => {
+        connection.emit('news', 1);
+        expect(lastFrame()).toEqual({ event: 'news', data: 1 });
+    });
+
+    test('send resolves with the client answer', async () => {
+        const response = connection.send('status', { verbose: true });
+        const { id, method, payload } = lastFrame();
+        expect(method).toBe('status');
+        expect(payload).toEqual({ verbose: true });
+        expect(connection.handleResponse({ id, data: 'ok' })).toBe(true);
+        await expect(response).resolves.toBe('ok');
+        expect(connection.pending.size).toBe(0);
+    });
+
+    test('send rejects with WSRemoteError on an error envelope', async () => {
+        const response = connection.send('run', {});
+        const { id } = lastFrame();
+        connection.handleResponse({ id, error: true, code: 'BUSY', message: 'Worker busy' });
+        const error = await response.catch(e => e);
+        expect(error).toBeInstanceOf(WSRemoteError);
+        expect(error.code).toBe('BUSY');
+        expect(error.method).toBe('run');
+    });
+
+    test('send rejects on timeout and forgets the request', async () => {
+        await expect(connection.send('slow', {}, { timeout: 20 })).rejects.toThrow('Request Timeout');
+        expect(connection.pending.size).toBe(0);
+    });
+
+    test('handleResponse ignores unknown IDs', () => {
+        expect(connection.handleResponse({ id: 'nope', data: 1 })).toBe(false);
+    });
+
+    test('failPending rejects every waiting request', async () => {
+        const first = connection.send('a');
+        const second = connection.send('b');
+        connection.failPending(new Error('gone'));
+        await expect(first).rejects.toThrow('gone');
+        await expect(second).rejects.toThrow('gone');
+    });
+
+    test('cancel aborts a request and forgets it', () => {
+        const controller = new AbortController();
+        connection.requests.set('r1', controller);
+        connection.cancel('r1', 'stop');
+        expect(controller.signal.aborted).toBe(true);
+        expect(controller.signal.reason).toBe('stop');
+        expect(connection.requests.size).toBe(0);
+    });
+
+    test('heartbeat pings until too many pongs are missed', () => {
+        connection.heartbeat(2);
+        connection.heartbeat(2);
+        expect(socket.ping).toHaveBeenCalledTimes(2);
+        connection.heartbeat(2);
+        expect(socket.terminate).toHaveBeenCalled();
+    });
+});
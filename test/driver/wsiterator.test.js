@@ -0,0 +1,106 @@
+import WSStreamIterator from '../../driver/wsiterator.js';
+
+// Minimal stand-in for WSClient.stream that lets tests push items and end the stream
+function createClient() {
+    const client = {
+        stop: jest.fn(),
+        stream: jest.fn(async (method, data, callback, hooks) => {
+            client.emit = callback;
+            client.hooks = hooks;
+            return client.stop;
+        }),
+    };
+    return client;
+}
+
+describe('WSStreamIterator', () => {
+    test('opens the stream lazily on first next', async () => {
+        const client = createClient();
+        const iterator = new WSStreamIterator(client, 'logs', { level: 'info' });
+        expect(client.stream).not.toHaveBeenCalled();
+        const next = iterator.next();
+        expect(client.stream).toHaveBeenCalledWith('logs', { level: 'info' }, expect.any(Function), expect.any(Object));
+        await iterator.started;
+        client.emit('a');
+        await expect(next).resolves.toEqual({ value: 'a', done: false });
+    });
+
+    test('buffers items and finishes on end', async () => {
+        const client = createClient();
+        const iterator = new WSStreamIterator(client, 'logs');
+        const first = iterator.next();
+        await iterator.started;
+        client.emit(1);
+        client.emit(2);
+        client.emit(3);
+        client.hooks.onEnd();
+        const items = [(await first).value];
+        for await (const item of iterator) items.push(item);
+        expect(items).toEqual([1, 2, 3]);
+    });
+
+    test('drops the oldest items by default when the buffer is full', async () => {
+        const client = createClient();
+        const iterator = new WSStreamIterator(client, 'logs', {}, { bufferSize: 2 });
+        iterator.start();
+        await iterator.started;
+        [1, 2, 3, 4].forEach(client.emit);
+        client.hooks.onEnd();
+        const items = [];
+        for await (const item of iterator) items.push(item);
+        expect(items).toEqual([3, 4]);
+        expect(iterator.dropped).toBe(2);
+    });
+
+    test('drops the newest items with drop-newest', async () => {
+        const client = createClient();
+        const iterator = new WSStreamIterator(client, 'logs', {}, { bufferSize: 2, overflow: 'drop-newest' });
+        iterator.start();
+        await iterator.started;
+        [1, 2, 3, 4].forEach(client.emit);
+        client.hooks.onEnd();
+        const items = [];
+        for await (const item of iterator) items.push(item);
+        expect(items).toEqual([1, 2]);
+    });
+
+    test('fails and cancels the stream with the error policy', async () => {
+        const client = createClient();
+        const iterator = new WSStreamIterator(client, 'logs', {}, { bufferSize: 1, overflow: 'error' });
+        iterator.start();
+        await iterator.started;
+        client.emit(1);
+        client.emit(2);
+        expect(client.stop).toHaveBeenCalled();
+        await expect(iterator.next()).resolves.toEqual({ value: 1, done: false });
+        await expect(iterator.next()).rejects.toMatchObject({ code: 'BUFFER_OVERFLOW' });
+        await expect(iterator.next()).resolves.toEqual({ value: undefined, done: true });
+    });
+
+    test('rejects a waiting consumer when the stream errors', async () => {
+        const client = createClient();
+        const iterator = new WSStreamIterator(client, 'logs');
+        const next = iterator.next();
+        await iterator.started;
+        client.hooks.onError(new Error('boom'));
+        await expect(next).rejects.toThrow('boom');
+    });
+
+    test('breaking out of the loop cancels the stream', async () => {
+        const client = createClient();
+        const iterator = new WSStreamIterator(client, 'logs');
+        iterator.start();
+        await iterator.started;
+        client.emit(1);
+        client.emit(2);
+        for await (const item of iterator) {
+            if (item === 1) break;
+        }
+        expect(client.stop).toHaveBeenCalled();
+        await expect(iterator.next()).resolves.toEqual({ value: undefined, done: true });
+    });
+
+    test('rejects unknown overflow policies', () => {
+        expect(() => new WSStreamIterator(createClient(), 'logs', {}, { overflow: 'block' })).toThrow(TypeError);
+    });
+});
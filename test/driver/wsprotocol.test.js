@@ -0,0 +1,92 @@
+import { NativeProtocol, JsonRpcProtocol, createProtocol } from '../../driver/wsprotocol.js';
+
+describe('NativeProtocol', () => {
+    test('passes frames through', () => {
+        const protocol = new NativeProtocol();
+        const frame = { id: 1, method: 'echo', payload: 'x' };
+        expect(protocol.encode(frame)).toBe(frame);
+        expect(protocol.decode(frame)).toBe(frame);
+        expect(protocol.isBatch([frame])).toBe(false);
+    });
+});
+
+describe('JsonRpcProtocol', () => {
+    let protocol;
+
+    beforeEach(() => {
+        protocol = new JsonRpcProtocol();
+    });
+
+    test('encodes requests, notifications and answers', () => {
+        expect(protocol.encode({ id: 1, method: 'sum', payload: [1, 2] }))
+            .toEqual({ jsonrpc: '2.0', method: 'sum', params: [1, 2], id: 1 });
+        expect(protocol.encode({ method: 'log', payload: 'hi' }))
+            .toEqual({ jsonrpc: '2.0', method: 'log', params: 'hi' });
+        expect(protocol.encode({ id: 1, data: 3 })).toEqual({ jsonrpc: '2.0', result: 3, id: 1 });
+        expect(protocol.encode({ id: 1 })).toEqual({ jsonrpc: '2.0', result: null, id: 1 });
+        expect(protocol.encode({ event: 'news', data: 'x' }))
+            .toEqual({ jsonrpc: '2.0', method: 'news', params: 'x' });
+    });
+
+    test('drops answers to notifications and stream ends', () => {
+        expect(protocol.encode({ data: 3 })).toBeUndefined();
+        expect(protocol.encode({ id: 1, end: true })).toBeUndefined();
+        expect(protocol.encode({ error: true, code: 'METHOD_NOT_FOUND', message: 'Method not found' })).toBeUndefined();
+        expect(protocol.encode([{ data: 3 }])).toBeUndefined();
+    });
+
+    test('maps error codes', () => {
+        expect(protocol.encode({ error: true, code: 'INVALID_PARAMS', message: 'Invalid params', details: [1], id: 1 }))
+            .toEqual({ jsonrpc: '2.0', error: { code: -32602, message: 'Invalid params', data: [1] }, id: 1 });
+        expect(protocol.encode({ error: true, code: 'RATE_LIMITED', message: 'Slow down', details: { retryAfter: 5 }, id: 2 }))
+            .toEqual({
+                jsonrpc: '2.0',
+                error: { code: -32000, message: 'Slow down', data: { code: 'RATE_LIMITED', details: { retryAfter: 5 } } },
+                id: 2,
+            });
+        expect(protocol.encode({ error: true, code: 42, message: 'Custom', id: 3 }))
+            .toEqual({ jsonrpc: '2.0', error: { code: 42, message: 'Custom' }, id: 3 });
+        expect(protocol.encode({ error: true, code: 'PARSE_ERROR', message: 'Malformed JSON' }))
+            .toEqual({ jsonrpc: '2.0', error: { code: -32700, message: 'Malformed JSON' }, id: null });
+    });
+
+    test('decodes messages into frames', () => {
+        expect(protocol.decode({ jsonrpc: '2.0', method: 'sum', params: [1], id: 'a' }))
+            .toEqual({ id: 'a', method: 'sum', payload: [1] });
+        expect(protocol.decode({ jsonrpc: '2.0', method: 'log', params: 'hi' }))
+            .toEqual({ id: undefined, method: 'log', payload: 'hi' });
+        expect(protocol.decode({ jsonrpc: '2.0', result: 3, id: 1 })).toEqual({ id: 1, data: 3 });
+        expect(protocol.decode({ jsonrpc: '2.0', error: { code: -32601, message: 'Method not found' }, id: 1 }))
+            .toEqual({ error: true, code: 'METHOD_NOT_FOUND', message: 'Method not found', details: undefined, id: 1 });
+        expect(protocol.decode({ jsonrpc: '2.0', error: { code: -32000, message: 'Slow down', data: { code: 'RATE_LIMITED', details: 5 } }, id: 2 }))
+            .toEqual({ error: true, code: 'RATE_LIMITED', message: 'Slow down', details: 5, id: 2 });
+    });
+
+    test('decodes control notifications', () => {
+        expect(protocol.decode(protocol.encode({ ping: 3 }))).toEqual({ ping: 3 });
+        expect(protocol.decode(protocol.encode({ pong: 3 }))).toEqual({ pong: 3 });
+        expect(protocol.decode(protocol.encode({ id: 'x', cancel: true }))).toEqual({ id: 'x', cancel: true });
+    });
+
+    test('flags messages that are not valid JSON-RPC', () => {
+        expect(protocol.decode({ method: 'sum', id: 1 })).toEqual({ id: 1, invalid: true });
+        expect(protocol.decode({ jsonrpc: '2.0', method: 1, id: 2 })).toEqual({ id: 2, invalid: true });
+        expect(protocol.decode({ jsonrpc: '2.0', id: { no: 'pe' } })).toEqual({ id: undefined, invalid: true });
+        expect(protocol.decode(5)).toEqual({ id: undefined, invalid: true });
+    });
+
+    test('recognizes batches', () => {
+        expect(protocol.isBatch([])).toBe(true);
+        expect(protocol.isBatch({})).toBe(false);
+    });
+});
+
+describe('createProtocol', () => {
+    test('builds protocols by name and accepts protocol objects', () => {
+        expect(createProtocol()).toBeInstanceOf(NativeProtocol);
+        expect(createProtocol('jsonrpc')).toBeInstanceOf(JsonRpcProtocol);
+        const custom = { encode: (f) => f, decode: (m) => m, isBatch: () => false };
+        expect(createProtocol(custom)).toBe(custom);
+        expect(() => createProtocol('xml')).toThrow('Unknown protocol "xml"');
+    });
+});
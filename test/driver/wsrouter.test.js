@@ -0,0 +1,86 @@
+import Router from '../../driver/wsrouter.js';
+
+describe('Router', () => {
+    let router;
+
+    beforeEach(() => {
+        router = new Router();
+    });
+
+    test('resolves exact method names', () => {
+        const handler = jest.fn();
+        router.on('ping', handler);
+        expect(router.resolve('ping').handler).toBe(handler);
+        expect(router.resolve('pong')).toBeNull();
+    });
+
+    test('throws on duplicate registration', () => {
+        router.on('ping', jest.fn());
+        router.on('users.*', jest.fn());
+        expect(() => router.on('ping', jest.fn())).toThrow('Method "ping" is already registered');
+        expect(() => router.on('users.*', jest.fn())).toThrow('Method "users.*" is already registered');
+        expect(() => router.on('', jest.fn())).toThrow(TypeError);
+    });
+
+    test('resolves methods of mounted routers by prefix', () => {
+        const users = new Router();
+        const get = jest.fn();
+        users.on('get', get);
+        router.mount('users', users);
+        expect(router.resolve('users.get').handler).toBe(get);
+        expect(router.resolve('usersget')).toBeNull();
+        expect(router.resolve('get')).toBeNull();
+        expect(() => router.mount('users', new Router())).toThrow('A router is already mounted at "users"');
+        expect(() => router.mount('other', {})).toThrow(TypeError);
+    });
+
+    test('resolves nested mounts and routes added after mounting', () => {
+        const admin = new Router();
+        const users = new Router();
+        users.mount('admin', admin);
+        router.mount('users', users);
+        const ban = jest.fn();
+        admin.on('ban', ban);
+        expect(router.resolve('users.admin.ban').handler).toBe(ban);
+    });
+
+    test('falls back to the most specific wildcard', () => {
+        const any = jest.fn();
+        const users = jest.fn();
+        const admin = jest.fn();
+        const exact = jest.fn();
+        router.on('*', any);
+        router.on('users.*', users);
+        router.on('users.admin.*', admin);
+        router.on('users.get', exact);
+        expect(router.resolve('users.get').handler).toBe(exact);
+        expect(router.resolve('users.list').handler).toBe(users);
+        expect(router.resolve('users.admin.ban').handler).toBe(admin);
+        expect(router.resolve('orders.list').handler).toBe(any);
+        expect(router.resolve('users.').handler).toBe(any);
+    });
+
+    test('prefers mounted routers over wildcards', () => {
+        const users = new Router();
+        const get = jest.fn();
+        const fallback = jest.fn();
+        users.on('get', get);
+        router.mount('users', users);
+        router.on('users.*', fallback);
+        expect(router.resolve('users.get').handler).toBe(get);
+        expect(router.resolve('users.list').handler).toBe(fallback);
+    });
+
+    test('prepends router middleware to the route middleware', () => {
+        const users = new Router();
+        const outer = jest.fn();
+        const inner = jest.fn();
+        const own = jest.fn();
+        router.use(outer);
+        users.use(inner);
+        users.on('get', jest.fn(), { use: [own] });
+        router.mount('users', users);
+        expect(router.resolve('users.get').use).toEqual([outer, inner, own]);
+        expect(users.resolve('get').use).toEqual([inner, own]);
+    });
+});
@@ -1,4 +1,7 @@
 import WSServer from '../../driver/wsserver.js';
+import Router from '../../driver/wsrouter.js';
+import { WSError } from '../../driver/wserror.js';
+import { BinaryCodec } from '../../driver/wscodec.js';
 import { WebSocketServer } from 'ws';
 
 // Mock ws module
@@ -6,6 +9,8 @@ jest.mock('ws', () => {
     const mWebSocketServer = jest.fn().mockImplementation(() => {
         return {
             on: jest.fn(),
+            close: jest.fn((callback) => callback()),
+            clients: new Set(),
         };
     });
     return { WebSocketServer: mWebSocketServer };
@@ -25,10 +30,343 @@ describe('WSServer', () => {
     });
 
     test('registers connection handler on construction', () => {
-        expect(WebSocketServer).toHaveBeenCalledWith({ port: 8080 });
+        expect(WebSocketServer).toHaveBeenCalledWith({ port: 8080, handleProtocols: expect.any(Function) });
         expect(server.ws.on).toHaveBeenCalledWith('connection', expect.any(Function));
     });
 
+    test('passes port, host and path options to the underlying server', () => {
+        WebSocketServer.mockClear();
+        new WSServer({ port: 9000, host: '127.0.0.1', path: '/ws' });
+        expect(WebSocketServer).toHaveBeenCalledWith({
+            port: 9000, host: '127.0.0.1', path: '/ws', handleProtocols: expect.any(Function),
+        });
+    });
+
+    test('attaches to an existing http server instead of listening', () => {
+        WebSocketServer.mockClear();
+        const httpServer = {};
+        new WSServer({ server: httpServer, port: 9000 });
+        expect(WebSocketServer).toHaveBeenCalledWith({ server: httpServer, handleProtocols: expect.any(Function) });
+    });
+
+    test('supports noServer mode with handleUpgrade', () => {
+        WebSocketServer.mockClear();
+        const noServer = new WSServer({ noServer: true });
+        expect(WebSocketServer).toHaveBeenCalledWith({ noServer: true, handleProtocols: expect.any(Function) });
+        const ws = { on: jest.fn() };
+        const request = {};
+        noServer.ws.shouldHandle = jest.fn(() => true);
+        noServer.ws.emit = jest.fn();
+        noServer.ws.handleUpgrade = jest.fn((req, socket, head, callback) => callback(ws));
+        noServer.handleUpgrade(request, {}, Buffer.alloc(0));
+        expect(noServer.ws.emit).toHaveBeenCalledWith('connection', ws, request);
+    });
+
+    test('handleUpgrade destroys the socket once closing', async () => {
+        const socket = { destroy: jest.fn() };
+        server.ws.shouldHandle = jest.fn(() => true);
+        server.ws.handleUpgrade = jest.fn();
+        await server.close({ timeout: 10 });
+        server.handleUpgrade({}, socket, Buffer.alloc(0));
+        expect(socket.destroy).toHaveBeenCalled();
+        expect(server.ws.handleUpgrade).not.toHaveBeenCalled();
+    });
+
+    test('close waits for in-flight handlers before terminating clients', async () => {
+        const client = { terminate: jest.fn() };
+        server.ws.clients.add(client);
+        let finish;
+        server.on('slow', () => new Promise((resolve) => { finish = resolve; }));
+        const ws = { on: jest.fn(), send: jest.fn() };
+        server.ws.on.mock.calls[0][1](ws);
+        const messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
+        messageHandler(JSON.stringify({ method: 'slow', id: 20 }));
+
+        const closing = server.close({ timeout: 1000 });
+        await new Promise((r) => setTimeout(r, 20));
+        expect(server.ws.close).toHaveBeenCalled();
+        expect(client.terminate).not.toHaveBeenCalled();
+        finish();
+        await closing;
+        expect(client.terminate).toHaveBeenCalled();
+    });
+
+    test('close terminates clients when the deadline passes', async () => {
+        const client = { terminate: jest.fn() };
+        server.ws.clients.add(client);
+        server.on('stuck', () => new Promise(() => {}));
+        const ws = { on: jest.fn(), send: jest.fn() };
+        server.ws.on.mock.calls[0][1](ws);
+        const messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
+        messageHandler(JSON.stringify({ method: 'stuck', id: 21 }));
+        await server.close({ timeout: 20 });
+        expect(client.terminate).toHaveBeenCalled();
+    });
+
+    test('answers ping frames with pong frames', () => {
+        const ws = { on: jest.fn(), send: jest.fn() };
+        server.ws.on.mock.calls[0][1](ws);
+        const messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
+        messageHandler(JSON.stringify({ ping: 7 }));
+        expect(ws.send).toHaveBeenCalledWith(JSON.stringify({ pong: 7 }));
+    });
+
+    test('terminates clients that miss too many heartbeat pings', async () => {
+        jest.useFakeTimers();
+        WebSocketServer.mockClear();
+        const beating = new WSServer({ heartbeat: { interval: 100, maxMissed: 2 } });
+        const alive = { on: jest.fn(), send: jest.fn(), ping: jest.fn(), terminate: jest.fn() };
+        const dead = { on: jest.fn(), send: jest.fn(), ping: jest.fn(), terminate: jest.fn() };
+        beating.ws.on.mock.calls[0][1](alive);
+        beating.ws.on.mock.calls[0][1](dead);
+        const pong = alive.on.mock.calls.find(([event]) => event === 'pong')[1];
+
+        for (let i = 0; i < 3; i++) {
+            jest.advanceTimersByTime(100);
+            pong();
+        }
+        expect(dead.ping).toHaveBeenCalledTimes(2);
+        expect(dead.terminate).toHaveBeenCalled();
+        expect(alive.ping).toHaveBeenCalledTimes(3);
+        expect(alive.terminate).not.toHaveBeenCalled();
+
+        await beating.close({ timeout: 0 });
+        jest.advanceTimersByTime(1000);
+        expect(alive.ping).toHaveBeenCalledTimes(3);
+        jest.useRealTimers();
+    });
+
+    test('exposes the connection context to handlers', () => {
+        const ws = { on: jest.fn(), send: jest.fn() };
+        const request = { url: '/', headers: {}, socket: { remoteAddress: '10.0.0.1' } };
+        let ctx;
+        server.on('ctx', (payload, respond, context) => {
+            context.state.visits = (context.state.visits || 0) + 1;
+            ctx = context;
+            respond(context.state.visits);
+        });
+        server.ws.on.mock.calls[0][1](ws, request);
+        const messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
+        messageHandler(JSON.stringify({ method: 'ctx', id: 50 }));
+        messageHandler(JSON.stringify({ method: 'ctx', id: 51 }));
+        expect(ws.send).toHaveBeenLastCalledWith(JSON.stringify({ id: 51, data: 2 }));
+        expect(ctx.connectionId).toEqual(expect.any(String));
+        expect(ctx.connection.id).toBe(ctx.connectionId);
+        expect(ctx.remoteAddress).toBe('10.0.0.1');
+        expect(ctx.user).toBeNull();
+    });
+
+    test('verifies clients during the upgrade when authenticate is set', async () => {
+        WebSocketServer.mockClear();
+        const authenticate = jest.fn(({ query, headers }) => {
+            if (headers.authorization === 'Bearer admin') return { role: 'admin' };
+            if (query.token === 'banned') throw Object.assign(new Error('Banned'), { status: 403 });
+            return false;
+        });
+        const secured = new WSServer({ authenticate });
+        const { verifyClient } = WebSocketServer.mock.calls[0][0];
+
+        const accepted = { url: '/', headers: { authorization: 'Bearer admin' }, socket: {} };
+        await new Promise((resolve) => verifyClient({ req: accepted }, (...args) => resolve(args)))
+            .then((args) => expect(args).toEqual([true]));
+        const ws = { on: jest.fn(), send: jest.fn() };
+        expect(secured.handleConnection(ws, accepted).user).toEqual({ role: 'admin' });
+
+        const banned = { url: '/?token=banned', headers: {}, socket: {} };
+        await new Promise((resolve) => verifyClient({ req: banned }, (...args) => resolve(args)))
+            .then((args) => expect(args).toEqual([false, 403, 'Banned']));
+
+        const anonymous = { url: '/', headers: {}, socket: {} };
+        await new Promise((resolve) => verifyClient({ req: anonymous }, (...args) => resolve(args)))
+            .then((args) => expect(args).toEqual([false, 401, 'Unauthorized']));
+    });
+
+    test('requires an auth message first when authMessage is set', async () => {
+        WebSocketServer.mockClear();
+        const secured = new WSServer({
+            authenticate: ({ credentials }) => credentials === 'secret' && { name: 'alice' },
+            authMessage: true,
+        });
+        expect(WebSocketServer.mock.calls[0][0].verifyClient).toBeUndefined();
+        secured.on('whoami', (payload, respond, ctx) => ctx.user.name);
+        const ws = { on: jest.fn(), send: jest.fn(), close: jest.fn() };
+        const connection = secured.handleConnection(ws);
+        const messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
+
+        messageHandler(JSON.stringify({ method: 'whoami', id: 60 }));
+        expect(ws.send).toHaveBeenLastCalledWith(JSON.stringify(
+            { error: true, code: 'UNAUTHORIZED', message: 'Authentication required', id: 60 }
+        ));
+
+        messageHandler(JSON.stringify({ method: 'auth', payload: 'secret', id: 61 }));
+        await new Promise((r) => setImmediate(r));
+        expect(ws.send).toHaveBeenLastCalledWith(JSON.stringify({ id: 61, data: true }));
+        expect(connection.user).toEqual({ name: 'alice' });
+
+        messageHandler(JSON.stringify({ method: 'whoami', id: 62 }));
+        expect(ws.send).toHaveBeenLastCalledWith(JSON.stringify({ id: 62, data: 'alice' }));
+        ws.on.mock.calls.find(([event]) => event === 'close')[1]();
+    });
+
+    test('closes the socket when the auth message is rejected', async () => {
+        const secured = new WSServer({ authenticate: () => false, authMessage: true });
+        const ws = { on: jest.fn(), send: jest.fn(), close: jest.fn() };
+        secured.handleConnection(ws);
+        const messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
+        messageHandler(JSON.stringify({ method: 'auth', payload: 'wrong', id: 63 }));
+        await new Promise((r) => setImmediate(r));
+        expect(ws.send).toHaveBeenLastCalledWith(JSON.stringify(
+            { error: true, code: 'UNAUTHORIZED', message: 'Unauthorized', id: 63 }
+        ));
+        expect(ws.close).toHaveBeenCalledWith(4401, 'Unauthorized');
+        ws.on.mock.calls.find(([event]) => event === 'close')[1]();
+    });
+
+    test('keeps a registry of open connections', () => {
+        const ws = { on: jest.fn(), send: jest.fn() };
+        const connection = server.handleConnection(ws);
+        expect(server.connections.get(connection.id)).toBe(connection);
+        ws.on.mock.calls.find(([event]) => event === 'close')[1]();
+        expect(server.connections.has(connection.id)).toBe(false);
+    });
+
+    test('broadcasts events to every connection', () => {
+        const ws1 = { on: jest.fn(), send: jest.fn() };
+        const ws2 = { on: jest.fn(), send: jest.fn() };
+        server.handleConnection(ws1);
+        server.handleConnection(ws2);
+        expect(server.broadcast('news', { title: 'hi' })).toBe(2);
+        const frame = JSON.stringify({ event: 'news', data: { title: 'hi' } });
+        expect(ws1.send).toHaveBeenCalledWith(frame);
+        expect(ws2.send).toHaveBeenCalledWith(frame);
+    });
+
+    test('pushes events to a single connection by ID', () => {
+        const ws1 = { on: jest.fn(), send: jest.fn() };
+        const ws2 = { on: jest.fn(), send: jest.fn() };
+        const target = server.handleConnection(ws1);
+        server.handleConnection(ws2);
+        expect(server.to(target.id).emit('direct', 1)).toBe(1);
+        expect(ws1.send).toHaveBeenCalledWith(JSON.stringify({ event: 'direct', data: 1 }));
+        expect(ws2.send).not.toHaveBeenCalled();
+    });
+
+    test('pushes events to the members of a room', () => {
+        const ws1 = { on: jest.fn(), send: jest.fn() };
+        const ws2 = { on: jest.fn(), send: jest.fn() };
+        const ws3 = { on: jest.fn(), send: jest.fn() };
+        const member1 = server.handleConnection(ws1);
+        server.handleConnection(ws2);
+        server.handleConnection(ws3);
+        server.on('join', (room, respond, ctx) => {
+            server.join(ctx.connection, room);
+            return true;
+        });
+        ws2.on.mock.calls.find(([event]) => event === 'message')[1](
+            JSON.stringify({ method: 'join', payload: 'lobby', id: 70 })
+        );
+        server.join(member1.id, 'lobby');
+
+        expect(server.to('lobby').emit('chat', 'hello')).toBe(2);
+        const frame = JSON.stringify({ event: 'chat', data: 'hello' });
+        expect(ws1.send).toHaveBeenCalledWith(frame);
+        expect(ws2.send).toHaveBeenCalledWith(frame);
+        expect(ws3.send).not.toHaveBeenCalled();
+
+        server.leave(member1, 'lobby');
+        expect(server.to('lobby').emit('chat', 'again')).toBe(1);
+        expect(ws1.send).not.toHaveBeenCalledWith(JSON.stringify({ event: 'chat', data: 'again' }));
+    });
+
+    test('removes closed connections from their rooms', () => {
+        const ws = { on: jest.fn(), send: jest.fn() };
+        const connection = server.handleConnection(ws);
+        server.join(connection, 'lobby');
+        ws.on.mock.calls.find(([event]) => event === 'close')[1]();
+        expect(server.rooms.has('lobby')).toBe(false);
+        expect(server.to('lobby').emit('chat', 'hello')).toBe(0);
+    });
+
+    test('routes client answers to requests sent with connection.send', async () => {
+        const ws = { on: jest.fn(), send: jest.fn() };
+        const connection = server.handleConnection(ws);
+        const messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
+        const response = connection.send('status');
+        const { id } = JSON.parse(ws.send.mock.calls[0][0]);
+        messageHandler(JSON.stringify({ id, data: { healthy: true } }));
+        await expect(response).resolves.toEqual({ healthy: true });
+        expect(ws.send).toHaveBeenCalledTimes(1);
+    });
+
+    test('rejects pending server requests when the socket closes', async () => {
+        const ws = { on: jest.fn(), send: jest.fn() };
+        const connection = server.handleConnection(ws);
+        const response = connection.send('status');
+        ws.on.mock.calls.find(([event]) => event === 'close')[1]();
+        await expect(response).rejects.toMatchObject({ code: 'CONNECTION_CLOSED' });
+    });
+
+    test('rejects payloads that do not match the method schema', () => {
+        const ws = { on: jest.fn(), send: jest.fn() };
+        const handler = jest.fn(() => 'ok');
+        server.on('create', handler, {
+            schema: {
+                type: 'object',
+                required: ['name'],
+                properties: { name: { type: 'string' }, age: { type: 'integer', minimum: 0 } },
+            },
+        });
+        server.ws.on.mock.calls[0][1](ws);
+        const messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
+        messageHandler(JSON.stringify({ method: 'create', payload: { age: -1 }, id: 80 }));
+        expect(handler).not.toHaveBeenCalled();
+        expect(ws.send).toHaveBeenCalledWith(JSON.stringify({
+            error: true,
+            code: 'INVALID_PARAMS',
+            message: 'Invalid params',
+            details: [
+                { path: '$.name', message: 'is required' },
+                { path: '$.age', message: 'must be >= 0' },
+            ],
+            id: 80,
+        }));
+        messageHandler(JSON.stringify({ method: 'create', payload: { name: 'x' }, id: 81 }));
+        expect(ws.send).toHaveBeenLastCalledWith(JSON.stringify({ id: 81, data: 'ok' }));
+    });
+
+    test('accepts a validator function as schema', () => {
+        const ws = { on: jest.fn(), send: jest.fn() };
+        server.on('positive', (n) => n, { schema: (n) => n > 0 });
+        server.on('throwing', (n) => n, { schema: () => { throw new Error('validator broke'); } });
+        server.ws.on.mock.calls[0][1](ws);
+        const messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
+        messageHandler(JSON.stringify({ method: 'positive', payload: -1, id: 82 }));
+        expect(JSON.parse(ws.send.mock.calls[0][0])).toMatchObject({
+            code: 'INVALID_PARAMS', details: [{ path: '$', message: 'is invalid' }],
+        });
+        messageHandler(JSON.stringify({ method: 'throwing', payload: 1, id: 83 }));
+        expect(JSON.parse(ws.send.mock.calls[1][0])).toMatchObject({
+            code: 'INVALID_PARAMS', details: [{ path: '$', message: 'validator broke' }],
+        });
+    });
+
+    test('checks responses against the response schema when enabled', () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const ws = { on: jest.fn(), send: jest.fn() };
+        server.on('count', (payload) => payload, { responseSchema: { type: 'integer' } });
+        server.ws.on.mock.calls[0][1](ws);
+        const messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
+        messageHandler(JSON.stringify({ method: 'count', payload: 'many', id: 84 }));
+        expect(JSON.parse(ws.send.mock.calls[0][0])).toMatchObject({
+            code: 'INVALID_RESPONSE', details: [{ path: '$', message: 'must be integer' }], id: 84,
+        });
+
+        server.validateResponses = false;
+        messageHandler(JSON.stringify({ method: 'count', payload: 'many', id: 85 }));
+        expect(ws.send).toHaveBeenLastCalledWith(JSON.stringify({ id: 85, data: 'many' }));
+        console.error.mockRestore();
+    });
+
     test('registers method handler and calls it on message', () => {
         const ws = { on: jest.fn(), send: jest.fn() };
         server.on('echo', (payload, respond) => {
@@ -51,7 +389,7 @@ describe('WSServer', () => {
         const messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
         messageHandler('not json');
         expect(ws.send).toHaveBeenCalledWith(
-            JSON.stringify({ error: true, message: 'Malformed JSON', id: undefined })
+            JSON.stringify({ error: true, code: 'PARSE_ERROR', message: 'Malformed JSON', id: undefined })
         );
     });
 
@@ -61,7 +399,7 @@ describe('WSServer', () => {
         const messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
         messageHandler(JSON.stringify({ payload: 'hi', id: 2 }));
         expect(ws.send).toHaveBeenCalledWith(
-            JSON.stringify({ error: true, message: 'Missing or invalid method', id: 2 })
+            JSON.stringify({ error: true, code: 'INVALID_REQUEST', message: 'Missing or invalid method', id: 2 })
         );
     });
 
@@ -71,7 +409,7 @@ describe('WSServer', () => {
         const messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
         messageHandler(JSON.stringify({ method: 'notfound', payload: 'hi', id: 3 }));
         expect(ws.send).toHaveBeenCalledWith(
-            JSON.stringify({ error: true, message: 'Method not found', id: 3 })
+            JSON.stringify({ error: true, code: 'METHOD_NOT_FOUND', message: 'Method not found', id: 3 })
         );
     });
 
@@ -82,22 +420,13 @@ describe('WSServer', () => {
         const messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
         messageHandler(JSON.stringify({ method: 'fail', payload: 'hi', id: 4 }));
         expect(ws.send).toHaveBeenCalledWith(
-            JSON.stringify({ error: true, message: 'Method handler error', id: 4 })
+            JSON.stringify({ error: true, code: 'INTERNAL_ERROR', message: 'Method handler error', id: 4 })
         );
     });
 
-    test('overwrites method handler if registered twice', () => {
-        const ws = { on: jest.fn(), send: jest.fn() };
-        const firstHandler = jest.fn((payload, respond) => respond('first'));
-        const secondHandler = jest.fn((payload, respond) => respond('second'));
-        server.on('dup', firstHandler);
-        server.on('dup', secondHandler); // Overwrite
-        server.ws.on.mock.calls[0][1](ws);
-        const messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
-        messageHandler(JSON.stringify({ method: 'dup', payload: 'x', id: 10 }));
-        expect(firstHandler).not.toHaveBeenCalled();
-        expect(secondHandler).toHaveBeenCalled();
-        expect(ws.send).toHaveBeenCalledWith(JSON.stringify({ id: 10, data: 'second' }));
+    test('throws if a method handler is registered twice', () => {
+        server.on('dup', jest.fn());
+        expect(() => server.on('dup', jest.fn())).toThrow('Method "dup" is already registered');
     });
 
     test('responds with error for non-string method', () => {
@@ -106,7 +435,7 @@ describe('WSServer', () => {
         const messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
         messageHandler(JSON.stringify({ method: 123, payload: 'hi', id: 11 }));
         expect(ws.send).toHaveBeenCalledWith(
-            JSON.stringify({ error: true, message: 'Missing or invalid method', id: 11 })
+            JSON.stringify({ error: true, code: 'INVALID_REQUEST', message: 'Missing or invalid method', id: 11 })
         );
     });
 
@@ -137,10 +466,166 @@ describe('WSServer', () => {
         const messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
         messageHandler(JSON.stringify({ method: 'cbthrow', payload: 'x', id: 15 }));
         expect(ws.send).toHaveBeenCalledWith(
-            JSON.stringify({ error: true, message: 'Method handler error', id: 15 })
+            JSON.stringify({ error: true, code: 'INTERNAL_ERROR', message: 'Method handler error', id: 15 })
+        );
+    });
+
+    test('sends back the value returned by a handler', () => {
+        const ws = { on: jest.fn(), send: jest.fn() };
+        server.on('sum', (payload) => payload.a + payload.b);
+        server.ws.on.mock.calls[0][1](ws);
+        const messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
+        messageHandler(JSON.stringify({ method: 'sum', payload: { a: 1, b: 2 }, id: 30 }));
+        expect(ws.send).toHaveBeenCalledWith(JSON.stringify({ id: 30, data: 3 }));
+    });
+
+    test('sends back the resolved value of an async handler', async () => {
+        const ws = { on: jest.fn(), send: jest.fn() };
+        server.on('async', async (payload) => ({ got: payload }));
+        server.ws.on.mock.calls[0][1](ws);
+        const messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
+        messageHandler(JSON.stringify({ method: 'async', payload: 'x', id: 31 }));
+        await Promise.all(server.inFlight);
+        expect(ws.send).toHaveBeenCalledWith(JSON.stringify({ id: 31, data: { got: 'x' } }));
+    });
+
+    test('replies with a structured error when an async handler rejects with WSError', async () => {
+        const ws = { on: jest.fn(), send: jest.fn() };
+        server.on('forbidden', async () => {
+            throw new WSError('Not allowed', { code: 'FORBIDDEN', details: { role: 'guest' } });
+        });
+        server.ws.on.mock.calls[0][1](ws);
+        const messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
+        messageHandler(JSON.stringify({ method: 'forbidden', id: 32 }));
+        await Promise.all(server.inFlight);
+        expect(ws.send).toHaveBeenCalledWith(JSON.stringify({
+            error: true, code: 'FORBIDDEN', message: 'Not allowed', details: { role: 'guest' }, id: 32,
+        }));
+    });
+
+    test('hides the message of unexpected async handler errors', async () => {
+        const ws = { on: jest.fn(), send: jest.fn() };
+        server.on('broken', async () => { throw new Error('database password is hunter2'); });
+        server.ws.on.mock.calls[0][1](ws);
+        const messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
+        messageHandler(JSON.stringify({ method: 'broken', id: 33 }));
+        await Promise.all(server.inFlight);
+        expect(ws.send).toHaveBeenCalledWith(
+            JSON.stringify({ error: true, code: 'INTERNAL_ERROR', message: 'Method handler error', id: 33 })
         );
     });
 
+    test('does not send the resolved value again when an async handler used respond', async () => {
+        const ws = { on: jest.fn(), send: jest.fn() };
+        server.on('streamed', async (payload, respond) => {
+            respond(1);
+            respond(2);
+        });
+        server.ws.on.mock.calls[0][1](ws);
+        const messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
+        messageHandler(JSON.stringify({ method: 'streamed', id: 34 }));
+        await Promise.all(server.inFlight);
+        expect(ws.send.mock.calls).toEqual([
+            [JSON.stringify({ id: 34, data: 1 })],
+            [JSON.stringify({ id: 34, data: 2 })],
+        ]);
+    });
+
+    test('passes stream controls to the handler and ends the stream', () => {
+        const ws = { on: jest.fn(), send: jest.fn() };
+        server.on('count', (payload, respond, { next, end }) => {
+            next(1);
+            next(2);
+            end();
+            next(3);
+        });
+        server.ws.on.mock.calls[0][1](ws);
+        const messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
+        messageHandler(JSON.stringify({ method: 'count', id: 40, stream: true }));
+        expect(ws.send.mock.calls).toEqual([
+            [JSON.stringify({ id: 40, data: 1 })],
+            [JSON.stringify({ id: 40, data: 2 })],
+            [JSON.stringify({ id: 40, end: true })],
+        ]);
+    });
+
+    test('fails a stream through ctx.error', () => {
+        const ws = { on: jest.fn(), send: jest.fn() };
+        server.on('failing', (payload, respond, ctx) => {
+            ctx.next('partial');
+            ctx.error(new WSError('Source gone', { code: 'UNAVAILABLE' }));
+            ctx.end();
+        });
+        server.ws.on.mock.calls[0][1](ws);
+        const messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
+        messageHandler(JSON.stringify({ method: 'failing', id: 41, stream: true }));
+        expect(ws.send.mock.calls).toEqual([
+            [JSON.stringify({ id: 41, data: 'partial' })],
+            [JSON.stringify({ error: true, code: 'UNAVAILABLE', message: 'Source gone', id: 41 })],
+        ]);
+    });
+
+    test('aborts the handler signal on a cancel frame', () => {
+        const ws = { on: jest.fn(), send: jest.fn() };
+        let signal;
+        server.on('ticker', (payload, respond, ctx) => { signal = ctx.signal; });
+        server.ws.on.mock.calls[0][1](ws);
+        const messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
+        messageHandler(JSON.stringify({ method: 'ticker', id: 42, stream: true }));
+        expect(signal.aborted).toBe(false);
+        messageHandler(JSON.stringify({ id: 42, cancel: true }));
+        expect(signal.aborted).toBe(true);
+        expect(signal.reason.code).toBe('CANCELLED');
+        expect(ws.send).not.toHaveBeenCalled();
+    });
+
+    test('aborts running streams when the socket closes', () => {
+        const ws = { on: jest.fn(), send: jest.fn() };
+        let ctx;
+        server.on('ticker', (payload, respond, context) => { ctx = context; });
+        server.ws.on.mock.calls[0][1](ws);
+        const messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
+        const closeHandler = ws.on.mock.calls.find(([event]) => event === 'close')[1];
+        messageHandler(JSON.stringify({ method: 'ticker', id: 43, stream: true }));
+        closeHandler();
+        expect(ctx.signal.aborted).toBe(true);
+        ctx.next('late');
+        expect(ws.send).not.toHaveBeenCalled();
+    });
+
+    test('aborts a pending request on cancel and drops its late answer', async () => {
+        const ws = { on: jest.fn(), send: jest.fn() };
+        let finish;
+        let signal;
+        server.on('slow', (payload, respond, ctx) => {
+            signal = ctx.signal;
+            return new Promise((resolve) => { finish = resolve; });
+        });
+        server.ws.on.mock.calls[0][1](ws);
+        const messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
+        const closeHandler = ws.on.mock.calls.find(([event]) => event === 'close')[1];
+        messageHandler(JSON.stringify({ method: 'slow', id: 44 }));
+        messageHandler(JSON.stringify({ id: 44, cancel: true }));
+        expect(signal.aborted).toBe(true);
+        finish('late');
+        await Promise.all(server.inFlight);
+        expect(ws.send).not.toHaveBeenCalled();
+
+        messageHandler(JSON.stringify({ method: 'slow', id: 45 }));
+        closeHandler();
+        expect(signal.aborted).toBe(true);
+        expect(signal.reason.code).toBe('CONNECTION_CLOSED');
+    });
+
+    test('stops tracking a plain request after its first answer', () => {
+        const ws = { on: jest.fn(), send: jest.fn() };
+        server.on('once', (payload, respond) => respond('done'));
+        const connection = server.handleConnection(ws);
+        const messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
+        messageHandler(JSON.stringify({ method: 'once', id: 44 }));
+        expect(connection.requests.size).toBe(0);
+    });
+
     test('handles multiple clients independently', () => {
         const ws1 = { on: jest.fn(), send: jest.fn() };
         const ws2 = { on: jest.fn(), send: jest.fn() };
@@ -166,4 +651,640 @@ describe('WSServer', () => {
         // Should still parse and respond
         expect(ws.send).toHaveBeenCalledWith(JSON.stringify({ id: 18, data: 'bin' }));
     });
+
+    test('runs middleware around handlers in registration order', async () => {
+        const ws = { on: jest.fn(), send: jest.fn() };
+        const calls = [];
+        server.use(async (ctx, next) => {
+            calls.push(`outer:${ctx.method}`);
+            await next();
+            calls.push('outer:after');
+        });
+        server.use((ctx, next) => {
+            calls.push('inner');
+            return next();
+        });
+        server.on('echo', async (payload) => {
+            calls.push('handler');
+            return payload;
+        });
+        server.ws.on.mock.calls[0][1](ws);
+        const messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
+        messageHandler(JSON.stringify({ method: 'echo', payload: 'hi', id: 60 }));
+        await Promise.all(server.inFlight);
+        expect(calls).toEqual(['outer:echo', 'inner', 'handler', 'outer:after']);
+        expect(ws.send).toHaveBeenCalledWith(JSON.stringify({ id: 60, data: 'hi' }));
+    });
+
+    test('keeps synchronous dispatch when middleware is synchronous', () => {
+        const ws = { on: jest.fn(), send: jest.fn() };
+        server.use((ctx, next) => next());
+        server.on('sync', (payload) => payload * 2);
+        server.ws.on.mock.calls[0][1](ws);
+        const messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
+        messageHandler(JSON.stringify({ method: 'sync', payload: 2, id: 61 }));
+        expect(ws.send).toHaveBeenCalledWith(JSON.stringify({ id: 61, data: 4 }));
+    });
+
+    test('lets middleware transform the payload and the result', () => {
+        const ws = { on: jest.fn(), send: jest.fn() };
+        server.use((ctx, next) => {
+            ctx.payload = ctx.payload.trim();
+            next();
+            ctx.result = { value: ctx.result };
+        });
+        server.on('upper', (payload) => payload.toUpperCase());
+        server.ws.on.mock.calls[0][1](ws);
+        const messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
+        messageHandler(JSON.stringify({ method: 'upper', payload: '  abc ', id: 62 }));
+        expect(ws.send).toHaveBeenCalledWith(JSON.stringify({ id: 62, data: { value: 'ABC' } }));
+    });
+
+    test('runs per-method middleware only for its method', () => {
+        const ws = { on: jest.fn(), send: jest.fn() };
+        const guard = jest.fn((ctx) => {
+            if (!ctx.user) throw new WSError('Login required', { code: 'UNAUTHORIZED' });
+        });
+        server.on('secret', () => 'hidden', { use: [guard] });
+        server.on('public', () => 'open');
+        server.ws.on.mock.calls[0][1](ws);
+        const messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
+        messageHandler(JSON.stringify({ method: 'public', id: 63 }));
+        messageHandler(JSON.stringify({ method: 'secret', id: 64 }));
+        expect(guard).toHaveBeenCalledTimes(1);
+        expect(ws.send).toHaveBeenCalledWith(JSON.stringify({ id: 63, data: 'open' }));
+        expect(ws.send).toHaveBeenCalledWith(JSON.stringify({
+            error: true, code: 'UNAUTHORIZED', message: 'Login required', id: 64,
+        }));
+    });
+
+    test('validates the payload after global middleware has run', () => {
+        const ws = { on: jest.fn(), send: jest.fn() };
+        server.use((ctx, next) => {
+            ctx.payload = Number(ctx.payload);
+            return next();
+        });
+        server.on('square', (n) => n * n, { schema: { type: 'number' } });
+        server.ws.on.mock.calls[0][1](ws);
+        const messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
+        messageHandler(JSON.stringify({ method: 'square', payload: '3', id: 65 }));
+        expect(ws.send).toHaveBeenCalledWith(JSON.stringify({ id: 65, data: 9 }));
+    });
+
+    test('lets middleware catch and map handler errors', async () => {
+        const ws = { on: jest.fn(), send: jest.fn() };
+        server.use(async (ctx, next) => {
+            try {
+                await next();
+            } catch (err) {
+                throw new WSError(`${ctx.method} failed`, { code: 'UPSTREAM', details: err.message });
+            }
+        });
+        server.on('flaky', async () => { throw new Error('db down'); });
+        server.ws.on.mock.calls[0][1](ws);
+        const messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
+        messageHandler(JSON.stringify({ method: 'flaky', id: 66 }));
+        await Promise.all(server.inFlight);
+        expect(ws.send).toHaveBeenCalledWith(JSON.stringify({
+            error: true, code: 'UPSTREAM', message: 'flaky failed', details: 'db down', id: 66,
+        }));
+    });
+
+    test('builds error envelopes with the onError handler', () => {
+        const ws = { on: jest.fn(), send: jest.fn() };
+        server.onError((err, ctx) => {
+            if (err.code === 'TEAPOT') return { id: ctx.id, error: { kind: 'teapot', method: ctx.method } };
+            if (!(err instanceof WSError)) return new WSError(err.message, { code: 'EXPOSED' });
+        });
+        server.on('tea', () => { throw new WSError('No coffee', { code: 'TEAPOT' }); });
+        server.on('boom', () => { throw new Error('kaboom'); });
+        server.on('other', () => { throw new WSError('Nope', { code: 'NOPE' }); });
+        server.ws.on.mock.calls[0][1](ws);
+        const messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
+        messageHandler(JSON.stringify({ method: 'tea', id: 67 }));
+        messageHandler(JSON.stringify({ method: 'boom', id: 68 }));
+        messageHandler(JSON.stringify({ method: 'other', id: 69 }));
+        expect(ws.send).toHaveBeenCalledWith(JSON.stringify({ id: 67, error: { kind: 'teapot', method: 'tea' } }));
+        expect(ws.send).toHaveBeenCalledWith(JSON.stringify({
+            error: true, code: 'EXPOSED', message: 'kaboom', id: 68,
+        }));
+        expect(ws.send).toHaveBeenCalledWith(JSON.stringify({
+            error: true, code: 'NOPE', message: 'Nope', id: 69,
+        }));
+    });
+
+    test('reports middleware calling next() twice as a handler error', () => {
+        const ws = { on: jest.fn(), send: jest.fn() };
+        const handler = jest.fn(() => 'once');
+        server.use((ctx, next) => {
+            next();
+            next();
+        });
+        server.on('twice', handler);
+        server.ws.on.mock.calls[0][1](ws);
+        const messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
+        messageHandler(JSON.stringify({ method: 'twice', id: 70 }));
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(ws.send).toHaveBeenCalledWith(JSON.stringify({
+            error: true, code: 'INTERNAL_ERROR', message: 'Method handler error', id: 70,
+        }));
+    });
+
+    test('answers methods of a mounted router', () => {
+        const ws = { on: jest.fn(), send: jest.fn() };
+        const users = new Router();
+        users.use((ctx, next) => {
+            ctx.payload = { ...ctx.payload, scope: 'users' };
+            return next();
+        });
+        users.on('get', (payload, respond, ctx) => ({ method: ctx.method, ...payload }));
+        server.mount('users', users);
+        server.ws.on.mock.calls[0][1](ws);
+        const messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
+        messageHandler(JSON.stringify({ method: 'users.get', payload: { id: 1 }, id: 71 }));
+        expect(ws.send).toHaveBeenCalledWith(JSON.stringify({
+            id: 71, data: { method: 'users.get', id: 1, scope: 'users' },
+        }));
+    });
+
+    test('routes unknown methods to a catch-all handler', () => {
+        const ws = { on: jest.fn(), send: jest.fn() };
+        server.on('*', (payload, respond, ctx) => `no ${ctx.method} here`);
+        server.ws.on.mock.calls[0][1](ws);
+        const messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
+        messageHandler(JSON.stringify({ method: 'missing', id: 72 }));
+        expect(ws.send).toHaveBeenCalledWith(JSON.stringify({ id: 72, data: 'no missing here' }));
+    });
+
+    test('negotiates the codec through the subprotocol', () => {
+        const { handleProtocols } = WebSocketServer.mock.calls[0][0];
+        expect(handleProtocols(new Set(['binary', 'json']))).toBe('binary');
+        expect(handleProtocols(new Set(['chat', 'json']))).toBe('json');
+        expect(handleProtocols(new Set(['chat']))).toBe(false);
+
+        WebSocketServer.mockClear();
+        const jsonOnly = new WSServer({ codecs: ['json'] });
+        expect(WebSocketServer.mock.calls[0][0].handleProtocols(new Set(['binary', 'json']))).toBe('json');
+        expect(jsonOnly.codecs).toHaveLength(1);
+    });
+
+    test('speaks the negotiated codec on a connection', () => {
+        const ws = { on: jest.fn(), send: jest.fn(), protocol: 'binary' };
+        const codec = new BinaryCodec();
+        server.on('echo', (payload) => payload);
+        const connection = server.handleConnection(ws);
+        expect(connection.codec).toBeInstanceOf(BinaryCodec);
+        const messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
+        const payload = { when: new Date(0), bytes: new Uint8Array([1, 2]), big: 10n ** 20n };
+        messageHandler(Buffer.from(codec.encode({ method: 'echo', payload, id: 1 })));
+        const [sent] = ws.send.mock.calls[0];
+        expect(sent).toBeInstanceOf(Uint8Array);
+        expect(codec.decode(sent)).toEqual({ id: 1, data: payload });
+
+        messageHandler(Buffer.from([0xff]));
+        expect(codec.decode(ws.send.mock.calls[1][0])).toMatchObject({ code: 'PARSE_ERROR', message: 'Malformed message' });
+    });
+
+    test('rejects messages that decode to something other than an object', () => {
+        const codec = new BinaryCodec();
+        const binaryWs = { on: jest.fn(), send: jest.fn(), protocol: 'binary' };
+        const jsonWs = { on: jest.fn(), send: jest.fn() };
+        server.handleConnection(binaryWs);
+        server.handleConnection(jsonWs);
+        const handlerOf = (ws) => ws.on.mock.calls.find(([event]) => event === 'message')[1];
+
+        expect(() => handlerOf(binaryWs)(Buffer.from([0xc0]))).not.toThrow();
+        expect(codec.decode(binaryWs.send.mock.calls[0][0])).toMatchObject({ error: true, code: 'INVALID_REQUEST' });
+        ['null', '42', '"text"'].forEach((message) => {
+            expect(() => handlerOf(jsonWs)(message)).not.toThrow();
+        });
+        jsonWs.send.mock.calls.forEach(([sent]) => {
+            expect(JSON.parse(sent)).toMatchObject({ error: true, code: 'INVALID_REQUEST' });
+        });
+        expect(jsonWs.send).toHaveBeenCalledTimes(3);
+    });
+
+    test('uses JSON for clients that do not negotiate', () => {
+        const connection = server.handleConnection({ on: jest.fn(), send: jest.fn(), protocol: '' });
+        expect(connection.codec.name).toBe('json');
+    });
+
+    describe('rate limiting', () => {
+        let limited;
+        let ws;
+        let messageHandler;
+
+        const lastFrame = () => JSON.parse(ws.send.mock.calls.at(-1)[0]);
+
+        beforeEach(() => {
+            jest.useFakeTimers();
+            WebSocketServer.mockClear();
+            ws = { on: jest.fn(), send: jest.fn(), close: jest.fn() };
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        const connect = (rateLimit) => {
+            limited = new WSServer({ rateLimit });
+            limited.on('echo', (payload) => payload);
+            limited.on('search', (payload) => payload);
+            limited.on('slow', () => new Promise(() => {}));
+            limited.ws.on.mock.calls[0][1](ws);
+            messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
+        };
+
+        test('limits messages per connection with retry-after', () => {
+            connect({ rate: 2 });
+            messageHandler(JSON.stringify({ method: 'echo', payload: 1, id: 1 }));
+            messageHandler(JSON.stringify({ method: 'echo', payload: 2, id: 2 }));
+            messageHandler(JSON.stringify({ method: 'echo', payload: 3, id: 3 }));
+            expect(lastFrame()).toEqual({
+                error: true, code: 'RATE_LIMITED', message: 'Rate limit exceeded',
+                details: { limit: 'messages', retryAfter: 500 }, id: 3,
+            });
+            jest.advanceTimersByTime(500);
+            messageHandler(JSON.stringify({ method: 'echo', payload: 4, id: 4 }));
+            expect(lastFrame()).toEqual({ id: 4, data: 4 });
+        });
+
+        test('counts every chunk against the message rate and checks what the chunks carry', () => {
+            connect({ rate: 2, maxMessageSize: 200 });
+            const message = JSON.stringify({ method: 'echo', payload: 'abc', id: 1 });
+            messageHandler(JSON.stringify({ chunk: 1, id: 1, seq: 0, count: 2, size: message.length, data: message.slice(0, 20) }));
+            messageHandler(JSON.stringify({ chunk: 1, id: 1, seq: 1, count: 2, size: message.length, data: message.slice(20) }));
+            expect(lastFrame()).toEqual({ id: 1, data: 'abc' });
+            messageHandler(JSON.stringify({ chunk: 2, id: 2, seq: 0, count: 2, size: 10, data: 'x' }));
+            expect(lastFrame()).toMatchObject({ code: 'RATE_LIMITED', details: { limit: 'messages' }, id: 2 });
+
+            jest.advanceTimersByTime(1000);
+            messageHandler(JSON.stringify({ chunk: 3, id: 3, seq: 0, count: 1e9, size: 10, data: 'x' }));
+            expect(lastFrame()).toMatchObject({ code: 'INVALID_REQUEST', message: 'Invalid chunk', id: 3 });
+            messageHandler(JSON.stringify({ chunk: 4, id: 4, seq: 0, count: 1, size: 10, data: 'x'.repeat(100) }));
+            expect(lastFrame()).toMatchObject({ code: 'INVALID_REQUEST', id: 4 });
+            expect(limited.connections.values().next().value.chunker.incoming.size).toBe(0);
+        });
+
+        test('limits the chunked messages a connection sends at once', () => {
+            connect({ maxTransfers: 2 });
+            [1, 2, 3].forEach((chunk) => {
+                messageHandler(JSON.stringify({ chunk, id: chunk, seq: 0, count: 2, size: 10, data: 'x' }));
+            });
+            expect(ws.send).toHaveBeenCalledTimes(1);
+            expect(lastFrame()).toMatchObject({ code: 'RATE_LIMITED', details: { limit: 'transfers', maxTransfers: 2 }, id: 3 });
+        });
+
+        test('counts pings against the message rate', () => {
+            connect({ rate: 1, maxViolations: 3 });
+            messageHandler(JSON.stringify({ ping: 1 }));
+            expect(lastFrame()).toEqual({ pong: 1 });
+            messageHandler(JSON.stringify({ ping: 2 }));
+            expect(lastFrame()).toMatchObject({ code: 'RATE_LIMITED', details: { limit: 'messages' } });
+            messageHandler(JSON.stringify({ method: 'echo', payload: 1, id: 1 }));
+            expect(lastFrame()).toMatchObject({ code: 'RATE_LIMITED', id: 1 });
+            for (let i = 0; i < 10; i++) messageHandler(JSON.stringify({ ping: i }));
+            expect(ws.close).toHaveBeenCalledWith(1008, 'Too many limit violations');
+        });
+
+        test('limits each method separately', () => {
+            connect({ methods: { search: { rate: 1 } } });
+            messageHandler(JSON.stringify({ method: 'search', payload: 'a', id: 1 }));
+            messageHandler(JSON.stringify({ method: 'search', payload: 'b', id: 2 }));
+            expect(lastFrame()).toMatchObject({ code: 'RATE_LIMITED', details: { limit: 'method', retryAfter: 1000 }, id: 2 });
+            messageHandler(JSON.stringify({ method: 'echo', payload: 'c', id: 3 }));
+            expect(lastFrame()).toEqual({ id: 3, data: 'c' });
+        });
+
+        test('limits concurrent in-flight requests', () => {
+            connect({ maxInFlight: 1 });
+            messageHandler(JSON.stringify({ method: 'slow', id: 1 }));
+            messageHandler(JSON.stringify({ method: 'slow', id: 2 }));
+            expect(lastFrame()).toEqual({
+                error: true, code: 'RATE_LIMITED', message: 'Too many requests in progress',
+                details: { limit: 'inFlight', maxInFlight: 1 }, id: 2,
+            });
+        });
+
+        test('rejects messages over the maximum size', () => {
+            connect({ maxMessageSize: 64 });
+            messageHandler(JSON.stringify({ method: 'echo', payload: 'x'.repeat(64), id: 1 }));
+            expect(lastFrame()).toEqual({
+                error: true, code: 'MESSAGE_TOO_LARGE', message: 'Message too large', details: { maxMessageSize: 64 },
+            });
+            messageHandler(Buffer.from(JSON.stringify({ method: 'echo', payload: 1, id: 2 })));
+            expect(lastFrame()).toEqual({ id: 2, data: 1 });
+        });
+
+        test('disconnects repeat offenders', () => {
+            connect({ rate: 1, maxViolations: 3, violationWindow: 1000 });
+            messageHandler(JSON.stringify({ method: 'echo', id: 1 }));
+            messageHandler(JSON.stringify({ method: 'echo', id: 2 }));
+            messageHandler(JSON.stringify({ method: 'echo', id: 3 }));
+            jest.advanceTimersByTime(1500);
+            messageHandler(JSON.stringify({ method: 'echo', id: 4 }));
+            messageHandler(JSON.stringify({ method: 'echo', id: 5 }));
+            messageHandler(JSON.stringify({ method: 'echo', id: 6 }));
+            expect(ws.close).not.toHaveBeenCalled();
+            messageHandler(JSON.stringify({ method: 'echo', id: 7 }));
+            expect(ws.close).toHaveBeenCalledWith(1008, 'Too many limit violations');
+        });
+    });
+
+    describe('JSON-RPC protocol', () => {
+        let rpc;
+        let ws;
+        let messageHandler;
+
+        const sent = () => ws.send.mock.calls.map(([message]) => JSON.parse(message));
+
+        beforeEach(() => {
+            WebSocketServer.mockClear();
+            rpc = new WSServer({ protocol: 'jsonrpc' });
+            rpc.on('sum', (numbers) => numbers.reduce((a, b) => a + b, 0));
+            rpc.on('later', async (value) => value);
+            rpc.on('log', jest.fn());
+            rpc.on('fail', () => { throw new WSError('No way', { code: 'FORBIDDEN' }); });
+            ws = { on: jest.fn(), send: jest.fn() };
+            rpc.ws.on.mock.calls[0][1](ws);
+            messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
+        });
+
+        test('answers requests with results', async () => {
+            messageHandler(JSON.stringify({ jsonrpc: '2.0', method: 'sum', params: [1, 2, 3], id: 1 }));
+            messageHandler(JSON.stringify({ jsonrpc: '2.0', method: 'later', params: 'x', id: 'b' }));
+            await Promise.all(rpc.inFlight);
+            expect(sent()).toEqual([
+                { jsonrpc: '2.0', result: 6, id: 1 },
+                { jsonrpc: '2.0', result: 'x', id: 'b' },
+            ]);
+        });
+
+        test('runs notifications without answering', () => {
+            messageHandler(JSON.stringify({ jsonrpc: '2.0', method: 'sum', params: [1] }));
+            messageHandler(JSON.stringify({ jsonrpc: '2.0', method: 'missing' }));
+            expect(ws.send).not.toHaveBeenCalled();
+        });
+
+        test('answers with JSON-RPC errors', () => {
+            messageHandler('{"jsonrpc": "2.0", "method"');
+            messageHandler(JSON.stringify({ jsonrpc: '2.0', method: 'missing', id: 1 }));
+            messageHandler(JSON.stringify({ jsonrpc: '2.0', method: 'fail', id: 2 }));
+            messageHandler(JSON.stringify({ method: 'sum', params: [1], id: 3 }));
+            expect(sent()).toEqual([
+                { jsonrpc: '2.0', error: { code: -32700, message: 'Malformed JSON' }, id: null },
+                { jsonrpc: '2.0', error: { code: -32601, message: 'Method not found' }, id: 1 },
+                { jsonrpc: '2.0', error: { code: -32000, message: 'No way', data: { code: 'FORBIDDEN' } }, id: 2 },
+                { jsonrpc: '2.0', error: { code: -32600, message: 'Invalid request' }, id: 3 },
+            ]);
+        });
+
+        test('answers a batch with a single message once every request is done', async () => {
+            messageHandler(JSON.stringify([
+                { jsonrpc: '2.0', method: 'later', params: 'slow', id: 1 },
+                { jsonrpc: '2.0', method: 'sum', params: [1, 2], id: 2 },
+                { jsonrpc: '2.0', method: 'log', params: 'note' },
+                { jsonrpc: '2.0', method: 'missing', id: 3 },
+                1,
+            ]));
+            expect(ws.send).not.toHaveBeenCalled();
+            await Promise.all(rpc.inFlight);
+            expect(sent()).toEqual([[
+                { jsonrpc: '2.0', result: 3, id: 2 },
+                { jsonrpc: '2.0', error: { code: -32601, message: 'Method not found' }, id: 3 },
+                { jsonrpc: '2.0', error: { code: -32600, message: 'Invalid request' }, id: null },
+                { jsonrpc: '2.0', result: 'slow', id: 1 },
+            ]]);
+            expect(rpc.connections.values().next().value.interceptors.size).toBe(0);
+        });
+
+        test('answers requests whose handler returns nothing with a null result', () => {
+            messageHandler(JSON.stringify({ jsonrpc: '2.0', method: 'log', params: 'note', id: 'a' }));
+            expect(sent()).toEqual([{ jsonrpc: '2.0', result: null, id: 'a' }]);
+            ws.send.mockClear();
+            messageHandler(JSON.stringify([
+                { jsonrpc: '2.0', method: 'sum', params: [1, 2], id: 'a' },
+                { jsonrpc: '2.0', method: 'log', params: 'note', id: 'b' },
+            ]));
+            expect(sent()).toEqual([[
+                { jsonrpc: '2.0', result: 3, id: 'a' },
+                { jsonrpc: '2.0', result: null, id: 'b' },
+            ]]);
+            expect(rpc.connections.values().next().value.interceptors.size).toBe(0);
+        });
+
+        test('sends nothing for a batch of notifications and rejects empty batches', () => {
+            messageHandler(JSON.stringify([
+                { jsonrpc: '2.0', method: 'log', params: 1 },
+                { jsonrpc: '2.0', method: 'log', params: 2 },
+            ]));
+            expect(ws.send).not.toHaveBeenCalled();
+            messageHandler('[]');
+            expect(sent()).toEqual([{ jsonrpc: '2.0', error: { code: -32600, message: 'Empty batch' }, id: null }]);
+        });
+
+        test('sends pushes as notifications outside of batches', () => {
+            rpc.on('announce', (payload, respond, ctx) => {
+                ctx.connection.emit('news', payload);
+                return 'sent';
+            });
+            messageHandler(JSON.stringify([{ jsonrpc: '2.0', method: 'announce', params: 'hi', id: 1 }]));
+            expect(sent()).toEqual([
+                { jsonrpc: '2.0', method: 'news', params: 'hi' },
+                [{ jsonrpc: '2.0', result: 'sent', id: 1 }],
+            ]);
+        });
+    });
+
+    describe('chunked transfers', () => {
+        let chunked;
+        let ws;
+        let messageHandler;
+
+        const sent = () => ws.send.mock.calls.map(([message]) => JSON.parse(message));
+        const flush = () => new Promise(resolve => setTimeout(resolve, 20));
+
+        beforeEach(() => {
+            WebSocketServer.mockClear();
+            chunked = new WSServer({ chunkSize: 40 });
+            chunked.on('big', () => 'x'.repeat(100));
+            chunked.on('length', (payload) => payload.length);
+            chunked.on('pages', (payload, respond, { next, end }) => {
+                next('y'.repeat(100));
+                end();
+            });
+            chunked.on('hold', () => new Promise(() => {}));
+            ws = { on: jest.fn(), send: jest.fn() };
+            chunked.ws.on.mock.calls[0][1](ws);
+            messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
+        });
+
+        test('sends a large answer in chunks', async () => {
+            messageHandler(JSON.stringify({ method: 'big', id: 1 }));
+            expect(ws.send).not.toHaveBeenCalled();
+            await flush();
+            const chunks = sent();
+            expect(chunks.length).toBe(3);
+            chunks.forEach((chunk, seq) => expect(chunk).toMatchObject({ chunk: 1, id: 1, seq, count: 3 }));
+            expect(JSON.parse(chunks.map(({ data }) => data).join(''))).toEqual({ id: 1, data: 'x'.repeat(100) });
+        });
+
+        test('keeps the end of a stream after its chunked data', async () => {
+            messageHandler(JSON.stringify({ method: 'pages', id: 2, stream: true }));
+            await flush();
+            const messages = sent();
+            expect(messages.at(-1)).toEqual({ id: 2, end: true });
+            expect(messages.slice(0, -1).every(({ chunk }) => chunk === 1)).toBe(true);
+        });
+
+        test('sends small answers whole and between the chunks of large ones', async () => {
+            messageHandler(JSON.stringify({ method: 'big', id: 3 }));
+            messageHandler(JSON.stringify({ method: 'length', payload: 'abc', id: 4 }));
+            expect(sent()).toEqual([{ id: 4, data: 3 }]);
+            await flush();
+            expect(sent().length).toBe(4);
+        });
+
+        test('aborts a transfer when its request is cancelled', async () => {
+            const connection = chunked.connections.values().next().value;
+            messageHandler(JSON.stringify({ method: 'big', id: 5 }));
+            connection.chunker.pump();
+            messageHandler(JSON.stringify({ id: 5, cancel: true }));
+            await flush();
+            expect(sent()).toEqual([
+                expect.objectContaining({ chunk: 1, seq: 0 }),
+                { chunk: 1, abort: true },
+            ]);
+        });
+
+        test('reassembles a chunked request before running the handler', () => {
+            const message = JSON.stringify({ method: 'length', payload: 'z'.repeat(50), id: 6 });
+            const pieces = [message.slice(0, 40), message.slice(40)];
+            pieces.forEach((data, seq) => messageHandler(JSON.stringify({
+                chunk: 7, id: 6, seq, count: 2, size: message.length, data,
+            })));
+            expect(sent()).toEqual([{ id: 6, data: 50 }]);
+            expect(chunked.connections.values().next().value.chunker.incoming.size).toBe(0);
+        });
+    });
+
+    describe('topics', () => {
+        let topical;
+        let ws;
+        let messageHandler;
+
+        const sent = () => ws.send.mock.calls.map(([message]) => JSON.parse(message));
+        const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+        beforeEach(async () => {
+            WebSocketServer.mockClear();
+            topical = new WSServer({ topics: { maxLength: 2 } });
+            ws = { on: jest.fn(), send: jest.fn() };
+            topical.ws.on.mock.calls[0][1](ws);
+            messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
+            for (const data of ['a', 'b', 'c']) await topical.publish('news', data);
+        });
+
+        test('answers a subscription and replays the kept messages', async () => {
+            messageHandler(JSON.stringify({ method: 'topics.subscribe', payload: { topic: 'news', from: 0 }, id: 1 }));
+            await flush();
+            expect(sent()).toEqual([
+                { event: 'topic.message', data: { topic: 'news', offset: 1, data: 'b' } },
+                { event: 'topic.message', data: { topic: 'news', offset: 2, data: 'c' } },
+                { id: 1, data: { topic: 'news', from: 0 } },
+            ]);
+        });
+
+        test('moves the consumer cursor on ack without answering', async () => {
+            messageHandler(JSON.stringify({
+                method: 'topics.subscribe', payload: { topic: 'news', last: 2, consumer: 'c1' }, id: 1,
+            }));
+            await flush();
+            ws.send.mockClear();
+            messageHandler(JSON.stringify({ method: 'topics.ack', payload: { topic: 'news', offset: 1 } }));
+            await flush();
+            expect(topical.topic('news').cursors.get('c1')).toBe(2);
+            expect(ws.send).not.toHaveBeenCalled();
+        });
+
+        test('does not count acknowledgements against the message rate', async () => {
+            WebSocketServer.mockClear();
+            const limited = new WSServer({ topics: true, rateLimit: { rate: 1, maxViolations: 3 } });
+            ws = { on: jest.fn(), send: jest.fn(), close: jest.fn() };
+            limited.ws.on.mock.calls[0][1](ws);
+            messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
+            await limited.publish('news', 'a');
+            messageHandler(JSON.stringify({ method: 'topics.subscribe', payload: { topic: 'news', from: 0, consumer: 'c1' }, id: 1 }));
+            await flush();
+            for (let i = 0; i < 5; i++) {
+                messageHandler(JSON.stringify({ method: 'topics.ack', payload: { topic: 'news', offset: 0 } }));
+            }
+            expect(sent().filter(({ code }) => code === 'RATE_LIMITED')).toEqual([]);
+            expect(ws.close).not.toHaveBeenCalled();
+            expect(limited.topic('news').cursors.get('c1')).toBe(1);
+            messageHandler(JSON.stringify({ method: 'topics.subscribe', payload: { topic: 'news' }, id: 2 }));
+            expect(sent().at(-1)).toMatchObject({ code: 'RATE_LIMITED', id: 2 });
+        });
+
+        test('handles acknowledgements without the middleware, within their own limit', async () => {
+            WebSocketServer.mockClear();
+            const limited = new WSServer({ topics: true, rateLimit: { rate: 10, acks: { rate: 2 }, maxViolations: 3 } });
+            const middleware = jest.fn((ctx, next) => next());
+            limited.use(middleware);
+            ws = { on: jest.fn(), send: jest.fn(), close: jest.fn() };
+            limited.ws.on.mock.calls[0][1](ws);
+            messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
+            await limited.publish('news', 'a');
+            messageHandler(JSON.stringify({ method: 'topics.subscribe', payload: { topic: 'news', from: 0, consumer: 'c1' }, id: 1 }));
+            await flush();
+            middleware.mockClear();
+            messageHandler(JSON.stringify({ method: 'topics.ack', payload: { topic: 'news', offset: 0 } }));
+            messageHandler(JSON.stringify({ method: 'topics.ack', payload: { topic: 'news', offset: 'x' } }));
+            expect(limited.topic('news').cursors.get('c1')).toBe(1);
+            messageHandler(JSON.stringify({ method: 'topics.ack', payload: { topic: 'news', offset: 0 } }));
+            expect(sent().at(-1)).toMatchObject({ code: 'RATE_LIMITED', details: { limit: 'acks' } });
+            expect(middleware).not.toHaveBeenCalled();
+            for (let i = 0; i < 3; i++) {
+                messageHandler(JSON.stringify({ method: 'topics.ack', payload: { topic: 'news', offset: 0 } }));
+            }
+            expect(ws.close).toHaveBeenCalledWith(1008, 'Too many limit violations');
+        });
+
+        test('only lets clients subscribe to known topics', async () => {
+            WebSocketServer.mockClear();
+            const declared = new WSServer({ topics: { names: ['alerts'] } });
+            ws = { on: jest.fn(), send: jest.fn() };
+            declared.ws.on.mock.calls[0][1](ws);
+            messageHandler = ws.on.mock.calls.find(([event]) => event === 'message')[1];
+            messageHandler(JSON.stringify({ method: 'topics.subscribe', payload: { topic: 'alerts' }, id: 1 }));
+            messageHandler(JSON.stringify({ method: 'topics.subscribe', payload: { topic: 'random-1' }, id: 2 }));
+            await flush();
+            expect(sent()).toEqual(expect.arrayContaining([
+                { id: 1, data: { topic: 'alerts', from: 0 } },
+                expect.objectContaining({ id: 2, code: 'TOPIC_NOT_FOUND' }),
+            ]));
+            expect([...declared.topics.keys()]).toEqual(['alerts']);
+        });
+
+        test('unsubscribes closed connections', async () => {
+            messageHandler(JSON.stringify({ method: 'topics.subscribe', payload: { topic: 'news' }, id: 1 }));
+            await flush();
+            ws.on.mock.calls.find(([event]) => event === 'close')[1]();
+            expect(topical.topic('news').subscriptions.size).toBe(0);
+        });
+
+        test('rejects malformed topic requests', async () => {
+            messageHandler(JSON.stringify({ method: 'topics.subscribe', payload: { topic: 'news', from: -1 }, id: 1 }));
+            await flush();
+            expect(sent()).toEqual([expect.objectContaining({ id: 1, error: true, code: 'INVALID_PARAMS' })]);
+        });
+
+        test('does not expose the topic methods unless enabled', () => {
+            const plain = { on: jest.fn(), send: jest.fn() };
+            server.handleConnection(plain);
+            const handler = plain.on.mock.calls.find(([event]) => event === 'message')[1];
+            handler(JSON.stringify({ method: 'topics.subscribe', payload: { topic: 'news' }, id: 1 }));
+            expect(JSON.parse(plain.send.mock.calls[0][0])).toMatchObject({ id: 1, code: 'METHOD_NOT_FOUND' });
+        });
+    });
 });
@@ -0,0 +1,116 @@
+import Topic, { TOPIC_EVENT } from '../../driver/wstopic.js';
+import { MemoryLog } from '../../driver/wstopiclog.js';
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('Topic', () => {
+    let topic;
+
+    const connection = () => ({ emit: jest.fn(), subscriptions: new Set() });
+    const received = (conn) => conn.emit.mock.calls.map(([event, { offset, data }]) => {
+        expect(event).toBe(TOPIC_EVENT);
+        return [offset, data];
+    });
+
+    beforeEach(async () => {
+        topic = new Topic('news', new MemoryLog());
+        for (const data of ['a', 'b', 'c']) await topic.publish(data);
+    });
+
+    test('delivers only new messages by default', async () => {
+        const conn = connection();
+        await expect(topic.subscribe(conn)).resolves.toEqual({ topic: 'news', from: 3 });
+        expect(conn.subscriptions.has('news')).toBe(true);
+        await topic.publish('d');
+        await flush();
+        expect(conn.emit).toHaveBeenCalledWith(TOPIC_EVENT, { topic: 'news', offset: 3, data: 'd' });
+        expect(received(conn)).toEqual([[3, 'd']]);
+    });
+
+    test('replays from an offset or the last messages', async () => {
+        const fromOne = connection();
+        const lastTwo = connection();
+        await topic.subscribe(fromOne, { from: 1 });
+        await topic.subscribe(lastTwo, { last: 2 });
+        await flush();
+        expect(received(fromOne)).toEqual([[1, 'b'], [2, 'c']]);
+        expect(received(lastTwo)).toEqual([[1, 'b'], [2, 'c']]);
+    });
+
+    test('keeps offset order when publishing during a replay', async () => {
+        const conn = connection();
+        await topic.subscribe(conn, { from: 0 });
+        await Promise.all([topic.publish('d'), topic.publish('e')]);
+        await flush();
+        expect(received(conn)).toEqual([[0, 'a'], [1, 'b'], [2, 'c'], [3, 'd'], [4, 'e']]);
+    });
+
+    test('resumes a consumer at its first unacknowledged message', async () => {
+        const first = connection();
+        await topic.subscribe(first, { from: 0, consumer: 'dashboard' });
+        await flush();
+        topic.ack(first, 0);
+        topic.ack(first, 99); // beyond what was delivered
+        expect(topic.cursors.get('dashboard')).toBe(3);
+        topic.ack(first, 1);
+        expect(topic.cursors.get('dashboard')).toBe(3);
+
+        const other = connection();
+        await topic.subscribe(other, { from: 0, consumer: 'report' });
+        await flush();
+        topic.ack(other, 0);
+        topic.unsubscribe(other);
+        await topic.publish('d');
+
+        const again = connection();
+        await expect(topic.subscribe(again, { consumer: 'report' })).resolves.toEqual({ topic: 'news', from: 1 });
+        await flush();
+        expect(received(again)).toEqual([[1, 'b'], [2, 'c'], [3, 'd']]);
+    });
+
+    test('drops the cursors no subscription has used for cursorTTL', async () => {
+        const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+        topic = new Topic('news', new MemoryLog(), { cursorTTL: 1000 });
+        const first = connection();
+        const second = connection();
+        await topic.subscribe(first, { consumer: 'left' });
+        await topic.subscribe(second, { consumer: 'shared' });
+        await topic.subscribe(connection(), { consumer: 'shared' });
+        topic.unsubscribe(first);
+        topic.unsubscribe(second);
+
+        now.mockReturnValue(999);
+        await topic.subscribe(connection(), { consumer: 'other' });
+        expect([...topic.cursors.keys()]).toEqual(['left', 'shared', 'other']);
+        now.mockReturnValue(1000);
+        await topic.subscribe(connection(), { consumer: 'other' });
+        expect([...topic.cursors.keys()]).toEqual(['shared', 'other']);
+        now.mockRestore();
+    });
+
+    test('stops delivering after unsubscribe', async () => {
+        const conn = connection();
+        await topic.subscribe(conn);
+        expect(topic.unsubscribe(conn)).toBe(true);
+        expect(topic.unsubscribe(conn)).toBe(false);
+        expect(conn.subscriptions.size).toBe(0);
+        await topic.publish('d');
+        await flush();
+        expect(conn.emit).not.toHaveBeenCalled();
+    });
+
+    test('reports log failures without stopping the topic', async () => {
+        const log = new MemoryLog();
+        const failing = new Topic('broken', log);
+        const conn = connection();
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(log, 'read').mockRejectedValueOnce(new Error('disk gone'));
+        await failing.subscribe(conn, { from: 0 });
+        await flush();
+        expect(consoleError).toHaveBeenCalledWith('Delivery error on topic broken:', expect.any(Error));
+        consoleError.mockRestore();
+        await failing.publish('later');
+        await flush();
+        expect(received(conn)).toEqual([[0, 'later']]);
+    });
+});
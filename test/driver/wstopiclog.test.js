@@ -0,0 +1,78 @@
+import { mkdtemp, readFile, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { MemoryLog, FileLog, createTopicLog } from '../../driver/wstopiclog.js';
+
+describe('MemoryLog', () => {
+    test('assigns increasing offsets and reads from an offset on', async () => {
+        const log = new MemoryLog();
+        await expect(log.append('a')).resolves.toBe(0);
+        await expect(log.append('b')).resolves.toBe(1);
+        await expect(log.append('c')).resolves.toBe(2);
+        await expect(log.read(1)).resolves.toEqual([{ offset: 1, data: 'b' }, { offset: 2, data: 'c' }]);
+        await expect(log.read(3)).resolves.toEqual([]);
+        await expect(log.next()).resolves.toBe(3);
+    });
+
+    test('keeps the last maxLength messages', async () => {
+        const log = new MemoryLog({ maxLength: 2 });
+        for (const data of ['a', 'b', 'c']) await log.append(data);
+        await expect(log.read(0)).resolves.toEqual([{ offset: 1, data: 'b' }, { offset: 2, data: 'c' }]);
+    });
+});
+
+describe('FileLog', () => {
+    let directory;
+    let path;
+
+    beforeEach(async () => {
+        directory = await mkdtemp(join(tmpdir(), 'topiclog-'));
+        path = join(directory, 'news.log');
+    });
+
+    afterEach(async () => {
+        await rm(directory, { recursive: true, force: true });
+    });
+
+    test('appends JSON lines and reads them back after a restart', async () => {
+        const log = new FileLog({ path });
+        await Promise.all([log.append({ n: 1 }), log.append({ n: 2 })]);
+        await expect(readFile(path, 'utf8')).resolves.toBe(
+            '{"offset":0,"data":{"n":1}}\n{"offset":1,"data":{"n":2}}\n'
+        );
+
+        const restarted = new FileLog({ path });
+        await expect(restarted.next()).resolves.toBe(2);
+        await expect(restarted.append({ n: 3 })).resolves.toBe(2);
+        await expect(restarted.read(1)).resolves.toEqual([
+            { offset: 1, data: { n: 2 } },
+            { offset: 2, data: { n: 3 } },
+        ]);
+    });
+
+    test('skips a line cut short', async () => {
+        await writeFile(path, '{"offset":4,"data":"kept"}\n{"offset":5,"da');
+        const log = new FileLog({ path });
+        await expect(log.read(0)).resolves.toEqual([{ offset: 4, data: 'kept' }]);
+        await expect(log.append('next')).resolves.toBe(5);
+    });
+
+    test('rewrites the file with the kept messages once it grows too long', async () => {
+        const log = new FileLog({ path, maxLength: 2 });
+        for (const data of ['a', 'b', 'c', 'd']) await log.append(data);
+        await expect(readFile(path, 'utf8')).resolves.toBe('{"offset":2,"data":"c"}\n{"offset":3,"data":"d"}\n');
+        await log.append('e');
+        const restarted = new FileLog({ path, maxLength: 2 });
+        await expect(restarted.read(0)).resolves.toEqual([{ offset: 3, data: 'd' }, { offset: 4, data: 'e' }]);
+    });
+});
+
+describe('createTopicLog', () => {
+    test('creates memory logs unless given a log factory', () => {
+        const log = createTopicLog({ maxLength: 5 })('news');
+        expect(log).toBeInstanceOf(MemoryLog);
+        expect(log.maxLength).toBe(5);
+        const factory = jest.fn(() => new MemoryLog());
+        expect(createTopicLog({ log: factory })).toBe(factory);
+    });
+});
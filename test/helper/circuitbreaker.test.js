@@ -0,0 +1,84 @@
+import CircuitBreaker, { CircuitOpenError } from '../../helper/circuitbreaker.js';
+
+describe('CircuitBreaker', () => {
+    const failing = () => Promise.reject(new Error('down'));
+    const working = () => Promise.resolve('up');
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('passes calls and results through while closed', async () => {
+        const breaker = new CircuitBreaker();
+        const add = breaker.wrap(async (a, b) => a + b);
+        await expect(add(1, 2)).resolves.toBe(3);
+        await expect(breaker.call(failing)).rejects.toThrow('down');
+        expect(breaker.state).toBe('closed');
+        expect(breaker.failures).toBe(1);
+        await breaker.call(working);
+        expect(breaker.failures).toBe(0);
+    });
+
+    test('opens after consecutive failures and fails fast', async () => {
+        const onStateChange = jest.fn();
+        const breaker = new CircuitBreaker({ failureThreshold: 2, resetTimeout: 1000, onStateChange });
+        await expect(breaker.call(failing)).rejects.toThrow('down');
+        await expect(breaker.call(failing)).rejects.toThrow('down');
+        expect(breaker.state).toBe('open');
+        expect(onStateChange).toHaveBeenCalledWith('open', 'closed');
+
+        const fn = jest.fn(working);
+        jest.advanceTimersByTime(400);
+        const error = await breaker.call(fn).catch(e => e);
+        expect(error).toBeInstanceOf(CircuitOpenError);
+        expect(error).toMatchObject({ code: 'CIRCUIT_OPEN', retryAfter: 600 });
+        expect(fn).not.toHaveBeenCalled();
+    });
+
+    test('lets a trial call through once the reset timeout passed', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeout: 1000, successThreshold: 2 });
+        await breaker.call(failing).catch(() => {});
+        jest.advanceTimersByTime(1000);
+
+        let finish;
+        const trial = breaker.call(() => new Promise((resolve) => { finish = resolve; }));
+        expect(breaker.state).toBe('half-open');
+        await expect(breaker.call(working)).rejects.toBeInstanceOf(CircuitOpenError);
+        finish('ok');
+        await expect(trial).resolves.toBe('ok');
+        expect(breaker.state).toBe('half-open');
+        await breaker.call(working);
+        expect(breaker.state).toBe('closed');
+    });
+
+    test('opens again when a trial call fails', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeout: 1000 });
+        await breaker.call(failing).catch(() => {});
+        jest.advanceTimersByTime(1000);
+        await expect(breaker.call(failing)).rejects.toThrow('down');
+        expect(breaker.state).toBe('open');
+        expect(breaker.retryAfter()).toBe(1000);
+    });
+
+    test('ignores errors that are not failures of the service', async () => {
+        const breaker = new CircuitBreaker({
+            failureThreshold: 1,
+            isFailure: (error) => error.code !== 'INVALID_PARAMS',
+        });
+        const invalid = Object.assign(new Error('bad input'), { code: 'INVALID_PARAMS' });
+        await expect(breaker.call(() => Promise.reject(invalid))).rejects.toBe(invalid);
+        expect(breaker.state).toBe('closed');
+    });
+
+    test('reset closes the circuit', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 1 });
+        await breaker.call(failing).catch(() => {});
+        breaker.reset();
+        expect(breaker.state).toBe('closed');
+        await expect(breaker.call(working)).resolves.toBe('up');
+    });
+});
@@ -1,4 +1,4 @@
-import Pledge from '../../helper/pledge.js';
+import Pledge, { TimeoutError, CancelError, RetryError } from '../../helper/pledge.js';
 
 describe('Pledge', () => {
     test('creates a new pledge instance', () => {
@@ -65,24 +65,114 @@ describe('Pledge', () => {
     test('then method chains correctly', async () => {
         const pledge = new Pledge();
         const testData = 'test data';
-        const callback = jest.fn();
+        const callback = jest.fn((data) => data.toUpperCase());
         
         // Chain then callback
         const returnedPledge = pledge.then(callback);
         
-        // Should return the pledge for chaining
-        expect(returnedPledge).toBe(pledge);
+        // Should return a new pledge for chaining
+        expect(returnedPledge).toBeInstanceOf(Pledge);
+        expect(returnedPledge).not.toBe(pledge);
         
         // Resolve the pledge
         pledge.resolve(testData);
         
-        // Wait for the promise to resolve and callback to be called
-        await pledge.get();
+        // The chained pledge settles with the callback's return value
+        await expect(returnedPledge.get()).resolves.toBe('TEST DATA');
         
         // Callback should have been called with the data
         expect(callback).toHaveBeenCalledWith(testData);
     });
 
+    test('then passes return values and rejections down the chain', async () => {
+        const pledge = new Pledge();
+        const chained = pledge
+            .then((n) => n + 1)
+            .then((n) => { throw new Error(`failed at ${n}`); })
+            .then(() => 'skipped', (error) => `recovered from ${error.message}`)
+            .then((message) => new Promise((resolve) => setTimeout(() => resolve(`${message}!`), 10)));
+        pledge.resolve(1);
+        await expect(chained).resolves.toBe('recovered from failed at 2!');
+    });
+
+    test('can be awaited like a promise', async () => {
+        const pledge = new Pledge();
+        setTimeout(() => pledge.resolve('awaited'), 10);
+        expect(await pledge).toBe('awaited');
+
+        const failing = new Pledge();
+        failing.reject(new Error('awaited error'));
+        await expect(async () => await failing).rejects.toThrow('awaited error');
+    });
+
+    test('catch handles rejections and finally runs either way', async () => {
+        const onFinally = jest.fn(() => 'ignored');
+        const rejected = new Pledge();
+        rejected.reject(new Error('broken'));
+        await expect(rejected.catch((error) => error.message).finally(onFinally)).resolves.toBe('broken');
+
+        const resolved = new Pledge();
+        resolved.resolve('kept');
+        await expect(resolved.catch(() => 'unused').finally(onFinally)).resolves.toBe('kept');
+
+        const failing = new Pledge();
+        failing.reject(new Error('passed through'));
+        await expect(failing.finally(onFinally).get()).rejects.toThrow('passed through');
+        expect(onFinally).toHaveBeenCalledTimes(3);
+    });
+
+    test('static allSettled reports every outcome', async () => {
+        const resolved = new Pledge();
+        const rejected = new Pledge();
+        resolved.resolve('ok');
+        rejected.reject(new Error('bad'));
+        const results = await Pledge.allSettled([resolved, rejected, 'plain']);
+        expect(results).toEqual([
+            { status: 'fulfilled', value: 'ok' },
+            { status: 'rejected', reason: new Error('bad') },
+            { status: 'fulfilled', value: 'plain' },
+        ]);
+    });
+
+    test('static any resolves with the first fulfilled pledge', async () => {
+        const slow = new Pledge();
+        const fast = new Pledge();
+        const failed = new Pledge();
+        failed.reject(new Error('first failure'));
+        setTimeout(() => slow.resolve('slow'), 50);
+        setTimeout(() => fast.resolve('fast'), 10);
+        await expect(Pledge.any([failed, slow, fast])).resolves.toBe('fast');
+
+        const other = new Pledge();
+        other.reject(new Error('second failure'));
+        await expect(Pledge.any([failed, other])).rejects.toBeInstanceOf(AggregateError);
+    });
+
+    test('static race settles like the first pledge to settle', async () => {
+        const slow = new Pledge();
+        const fast = new Pledge();
+        setTimeout(() => slow.resolve('slow'), 50);
+        setTimeout(() => fast.reject(new Error('fast failure')), 10);
+        await expect(Pledge.race([slow, fast])).rejects.toThrow('fast failure');
+        await expect(Pledge.race([slow, 'now'])).resolves.toBe('now');
+    });
+
+    test('static from wraps promises, values and callback-style functions', async () => {
+        await expect(Pledge.from(Promise.resolve('promised')).get()).resolves.toBe('promised');
+        await expect(Pledge.from('value').get()).resolves.toBe('value');
+
+        const done = Pledge.from((callback) => setTimeout(() => callback(null, 'called back'), 10));
+        expect(done).toBeInstanceOf(Pledge);
+        expect(done.status).toBe('pending');
+        await expect(done).resolves.toBe('called back');
+        expect(done.status).toBe('fulfilled');
+
+        const failed = Pledge.from((callback) => callback(new Error('callback failed')));
+        await expect(failed.get()).rejects.toThrow('callback failed');
+        const thrown = Pledge.from(() => { throw new Error('thrown'); });
+        await expect(thrown.get()).rejects.toThrow('thrown');
+    });
+
     test('static all method resolves when all pledges resolve', async () => {
         const pledge1 = new Pledge();
         const pledge2 = new Pledge();
@@ -228,4 +318,225 @@ describe('Pledge', () => {
         expect(results[1].status).toBe('rejected');
         expect(results[1].reason.message).toBe('Request Timeout');
     });
+
+    test('exposes its status, value and reason', async () => {
+        const fulfilled = new Pledge();
+        const rejected = new Pledge();
+        const error = new Error('nope');
+        expect(fulfilled.status).toBe('pending');
+        fulfilled.resolve('done');
+        rejected.reject(error);
+        await rejected.get().catch(() => {});
+        expect(fulfilled).toMatchObject({ status: 'fulfilled', value: 'done', reason: undefined });
+        expect(rejected).toMatchObject({ status: 'rejected', value: undefined, reason: error });
+    });
+
+    test('reports whether resolve and reject settled the pledge', async () => {
+        const pledge = new Pledge();
+        expect(pledge.resolve('first')).toBe(true);
+        expect(pledge.resolve('second')).toBe(false);
+        expect(pledge.reject(new Error('late'))).toBe(false);
+        expect(pledge.cancel()).toBe(false);
+        expect(pledge.value).toBe('first');
+    });
+
+    test('follows a promise it is resolved with', async () => {
+        const pledge = new Pledge();
+        let finish;
+        expect(pledge.resolve(new Promise((resolve) => { finish = resolve; }))).toBe(true);
+        expect(pledge.resolve('other')).toBe(false);
+        expect(pledge.status).toBe('pending');
+        finish('later');
+        await expect(pledge.get()).resolves.toBe('later');
+        expect(pledge).toMatchObject({ status: 'fulfilled', value: 'later' });
+    });
+
+    test('cancel rejects with a CancelError and runs the cancel hooks', async () => {
+        const pledge = new Pledge();
+        const hook = jest.fn();
+        pledge.onCancel(hook);
+        expect(pledge.cancel()).toBe(true);
+        const error = await pledge.get().catch(e => e);
+        expect(error).toBeInstanceOf(CancelError);
+        expect(error.code).toBe('CANCELLED');
+        expect(pledge).toMatchObject({ status: 'cancelled', reason: error });
+        expect(hook).toHaveBeenCalledWith(error);
+
+        const late = jest.fn();
+        pledge.onCancel(late);
+        expect(late).toHaveBeenCalledWith(error);
+        expect(pledge.cancel()).toBe(false);
+        expect(hook).toHaveBeenCalledTimes(1);
+    });
+
+    test('cancel takes a custom reason and skips hooks once settled', async () => {
+        const pledge = new Pledge();
+        const reason = new Error('user left');
+        pledge.onCancel(() => { throw new Error('hook failed'); });
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        pledge.cancel(reason);
+        await expect(pledge.get()).rejects.toBe(reason);
+        expect(consoleError).toHaveBeenCalledWith('Cancel hook error:', expect.any(Error));
+        consoleError.mockRestore();
+
+        const resolved = new Pledge();
+        const hook = jest.fn();
+        resolved.onCancel(hook);
+        resolved.resolve(1);
+        resolved.cancel();
+        resolved.onCancel(hook);
+        expect(hook).not.toHaveBeenCalled();
+    });
+
+    test('cancelling a pledge nobody waits for raises no unhandled rejection', async () => {
+        const unhandled = jest.fn();
+        process.on('unhandledRejection', unhandled);
+        try {
+            const pledge = new Pledge();
+            pledge.onCancel(jest.fn());
+            pledge.cancel();
+            await new Promise((resolve) => setTimeout(resolve, 10));
+        } finally {
+            process.off('unhandledRejection', unhandled);
+        }
+        expect(unhandled).not.toHaveBeenCalled();
+    });
+
+    test('timeout rejects with a TimeoutError and leaves the pledge pending', async () => {
+        const pledge = new Pledge();
+        const error = await pledge.timeout(10).catch(e => e);
+        expect(error).toBeInstanceOf(TimeoutError);
+        expect(error).toMatchObject({ name: 'TimeoutError', code: 'TIMEOUT', timeout: 10, message: 'Request Timeout' });
+        expect(pledge.status).toBe('pending');
+    });
+
+    test('timeout can settle the pledge itself', async () => {
+        const pledge = new Pledge();
+        await expect(pledge.timeout(10, { settle: true })).rejects.toBeInstanceOf(TimeoutError);
+        expect(pledge.status).toBe('rejected');
+        expect(pledge.reason).toBeInstanceOf(TimeoutError);
+        expect(pledge.resolve('late')).toBe(false);
+    });
+
+    test('timeout clears its timer once the pledge settles', async () => {
+        jest.useFakeTimers();
+        try {
+            const pledge = new Pledge();
+            const waiting = pledge.timeout(60000);
+            expect(jest.getTimerCount()).toBe(1);
+            pledge.resolve('fast');
+            await expect(waiting).resolves.toBe('fast');
+            expect(jest.getTimerCount()).toBe(0);
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    describe('map', () => {
+        test('limits how many calls run at once and keeps the order of the results', async () => {
+            let running = 0;
+            let peak = 0;
+            const fn = async (n, index) => {
+                running++;
+                peak = Math.max(peak, running);
+                await new Promise((r) => setTimeout(r, (5 - n) * 3));
+                running--;
+                return `${index}:${n * 2}`;
+            };
+            const results = await Pledge.map([1, 2, 3, 4, 5], fn, { concurrency: 2 });
+            expect(results).toEqual(['0:2', '1:4', '2:6', '3:8', '4:10']);
+            expect(peak).toBe(2);
+        });
+
+        test('rejects with the first error and starts no further calls', async () => {
+            const fn = jest.fn(async (n) => {
+                if (n === 2) throw new Error('two failed');
+                await new Promise((r) => setTimeout(r, 10));
+                return n;
+            });
+            await expect(Pledge.map([1, 2, 3, 4], fn, { concurrency: 2 })).rejects.toThrow('two failed');
+            expect(fn).toHaveBeenCalledTimes(2);
+        });
+
+        test('accepts any iterable and resolves an empty one right away', async () => {
+            await expect(Pledge.map(new Set(['a', 'b']), (s) => s.toUpperCase())).resolves.toEqual(['A', 'B']);
+            await expect(Pledge.map([], () => {})).resolves.toEqual([]);
+            expect(() => Pledge.map([1], () => {}, { concurrency: 0 })).toThrow(RangeError);
+        });
+    });
+
+    describe('retry', () => {
+        test('retries until an attempt succeeds', async () => {
+            const fn = jest.fn()
+                .mockRejectedValueOnce(new Error('first'))
+                .mockRejectedValueOnce(new Error('second'))
+                .mockResolvedValue('third time lucky');
+            const onRetry = jest.fn();
+            await expect(Pledge.retry(fn, { backoff: { initialDelay: 1 }, onRetry })).resolves.toBe('third time lucky');
+            expect(fn.mock.calls.map(([attempt]) => attempt)).toEqual([1, 2, 3]);
+            expect(onRetry.mock.calls).toEqual([
+                [new Error('first'), 1, 1],
+                [new Error('second'), 2, 2],
+            ]);
+        });
+
+        test('rejects with a RetryError listing every failure', async () => {
+            let count = 0;
+            const fn = () => { throw new Error(`failure ${++count}`); };
+            const error = await Pledge.retry(fn, { retries: 2, backoff: () => 1 }).catch(e => e);
+            expect(error).toBeInstanceOf(RetryError);
+            expect(error).toBeInstanceOf(AggregateError);
+            expect(error.attempts).toBe(3);
+            expect(error.errors.map(e => e.message)).toEqual(['failure 1', 'failure 2', 'failure 3']);
+            expect(error.message).toBe('Failed after 3 attempts: failure 1; failure 2; failure 3');
+        });
+
+        test('backs off exponentially up to maxDelay, with jitter', async () => {
+            const onRetry = jest.fn();
+            const fn = () => Promise.reject(new Error('down'));
+            jest.spyOn(Math, 'random').mockReturnValue(1);
+            try {
+                await Pledge.retry(fn, {
+                    retries: 4, backoff: { initialDelay: 2, multiplier: 3, maxDelay: 20 }, jitter: 0.5, onRetry,
+                }).catch(() => {});
+            } finally {
+                Math.random.mockRestore();
+            }
+            expect(onRetry.mock.calls.map(([, , delay]) => delay)).toEqual([1, 3, 9, 10]);
+        });
+
+        test('stops as soon as shouldRetry says no', async () => {
+            const fatal = new Error('fatal');
+            const fn = jest.fn().mockRejectedValueOnce(new Error('flaky')).mockRejectedValue(fatal);
+            const shouldRetry = jest.fn((error) => error !== fatal);
+            await expect(Pledge.retry(fn, { backoff: () => 1, shouldRetry })).rejects.toBe(fatal);
+            expect(fn).toHaveBeenCalledTimes(2);
+            expect(shouldRetry).toHaveBeenCalledWith(fatal, 2);
+        });
+
+        test('limits each attempt with a timeout', async () => {
+            const fn = jest.fn()
+                .mockReturnValueOnce(new Promise(() => {}))
+                .mockResolvedValue('in time');
+            const onRetry = jest.fn();
+            await expect(Pledge.retry(fn, { timeout: 10, backoff: () => 1, onRetry })).resolves.toBe('in time');
+            expect(onRetry.mock.calls[0][0]).toBeInstanceOf(TimeoutError);
+        });
+
+        test('rejects with the abort reason when the signal fires', async () => {
+            const controller = new AbortController();
+            const fn = jest.fn((attempt, signal) => {
+                expect(signal).toBe(controller.signal);
+                return Promise.reject(new Error('down'));
+            });
+            const retrying = Pledge.retry(fn, { retries: 10, backoff: () => 1000, signal: controller.signal });
+            await new Promise((r) => setTimeout(r, 10));
+            controller.abort(new Error('giving up'));
+            await expect(retrying).rejects.toThrow('giving up');
+            expect(fn).toHaveBeenCalledTimes(1);
+
+            await expect(Pledge.retry(fn, { signal: controller.signal })).rejects.toThrow('giving up');
+            expect(fn).toHaveBeenCalledTimes(1);
+        });
+    });
 });
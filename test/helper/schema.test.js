@@ -0,0 +1,85 @@
+import Schema from '../../helper/schema.js';
+
+describe('Schema', () => {
+    test('accepts values matching the type', () => {
+        expect(new Schema({ type: 'string' }).validate('hi')).toEqual([]);
+        expect(new Schema({ type: 'number' }).validate(1.5)).toEqual([]);
+        expect(new Schema({ type: 'number' }).validate(2)).toEqual([]);
+        expect(new Schema({ type: ['string', 'null'] }).validate(null)).toEqual([]);
+    });
+
+    test('reports type mismatches', () => {
+        expect(new Schema({ type: 'integer' }).validate(1.5)).toEqual([
+            { path: '$', message: 'must be integer' },
+        ]);
+        expect(new Schema({ type: 'object' }).validate([])).toEqual([
+            { path: '$', message: 'must be object' },
+        ]);
+    });
+
+    test('validates nested objects and arrays with paths', () => {
+        const schema = new Schema({
+            type: 'object',
+            required: ['name', 'tags'],
+            properties: {
+                name: { type: 'string', minLength: 1 },
+                tags: { type: 'array', items: { type: 'string' }, maxItems: 2 },
+            },
+            additionalProperties: false,
+        });
+        expect(schema.validate({ name: 'x', tags: ['a'] })).toEqual([]);
+        expect(schema.validate({ name: '', tags: ['a', 2, 'c'], extra: true })).toEqual([
+            { path: '$.name', message: 'must have at least 1 characters' },
+            { path: '$.tags', message: 'must have at most 2 items' },
+            { path: '$.tags[1]', message: 'must be string' },
+            { path: '$.extra', message: 'is not allowed' },
+        ]);
+        expect(schema.validate({})).toEqual([
+            { path: '$.name', message: 'is required' },
+            { path: '$.tags', message: 'is required' },
+        ]);
+    });
+
+    test('looks for required and declared properties on the object itself', () => {
+        const schema = new Schema({ type: 'object', required: ['toString', 'constructor'], additionalProperties: false });
+        expect(schema.validate({})).toEqual([
+            { path: '$.toString', message: 'is required' },
+            { path: '$.constructor', message: 'is required' },
+        ]);
+        const declared = new Schema({ type: 'object', properties: { name: { type: 'string' } }, additionalProperties: false });
+        expect(declared.validate({ toString: 1 })).toEqual([{ path: '$.toString', message: 'is not allowed' }]);
+    });
+
+    test('checks enum, const, pattern and numeric bounds', () => {
+        expect(new Schema({ enum: ['a', 'b'] }).validate('c')).toEqual([
+            { path: '$', message: 'must be one of "a", "b"' },
+        ]);
+        expect(new Schema({ const: 3 }).validate(4)).toEqual([{ path: '$', message: 'must be 3' }]);
+        expect(new Schema({ pattern: '^[a-z]+$' }).validate('ABC')).toHaveLength(1);
+        expect(new Schema({ minimum: 1, maximum: 5 }).validate(6)).toEqual([{ path: '$', message: 'must be <= 5' }]);
+        expect(new Schema({ exclusiveMinimum: 0 }).validate(0)).toEqual([{ path: '$', message: 'must be > 0' }]);
+        expect(new Schema({ multipleOf: 5 }).validate(12)).toHaveLength(1);
+        expect(new Schema({ uniqueItems: true }).validate([1, 1])).toHaveLength(1);
+    });
+
+    test('supports anyOf, oneOf, allOf and not', () => {
+        const anyOf = new Schema({ anyOf: [{ type: 'string' }, { type: 'number' }] });
+        expect(anyOf.validate(1)).toEqual([]);
+        expect(anyOf.validate(true)).toHaveLength(1);
+        const oneOf = new Schema({ oneOf: [{ type: 'number' }, { type: 'integer' }] });
+        expect(oneOf.validate(1.5)).toEqual([]);
+        expect(oneOf.validate(1)).toHaveLength(1);
+        const allOf = new Schema({ allOf: [{ type: 'number' }, { minimum: 2 }] });
+        expect(allOf.validate(1)).toEqual([{ path: '$', message: 'must be >= 2' }]);
+        expect(new Schema({ not: { type: 'null' } }).validate(null)).toHaveLength(1);
+    });
+
+    test('validator adapts schemas, Schema instances and functions', () => {
+        expect(Schema.validator({ type: 'string' })(1)).toHaveLength(1);
+        expect(Schema.validator(new Schema({ type: 'string' }))('a')).toEqual([]);
+        expect(Schema.validator((value) => value > 0)(-1)).toEqual([{ path: '$', message: 'is invalid' }]);
+        expect(Schema.validator((value) => value > 0)(1)).toEqual([]);
+        const custom = [{ path: '$.id', message: 'is taken' }];
+        expect(Schema.validator(() => custom)({})).toBe(custom);
+    });
+});
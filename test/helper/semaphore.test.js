@@ -0,0 +1,84 @@
+import Semaphore, { Mutex } from '../../helper/semaphore.js';
+import Pledge from '../../helper/pledge.js';
+
+describe('Semaphore', () => {
+    test('hands out permits as pledges and queues the other callers', async () => {
+        const semaphore = new Semaphore(2);
+        const first = semaphore.acquire();
+        const second = semaphore.acquire();
+        const third = semaphore.acquire();
+        expect(first).toBeInstanceOf(Pledge);
+        expect(first.status).toBe('fulfilled');
+        expect(second.status).toBe('fulfilled');
+        expect(third.status).toBe('pending');
+
+        const release = await first;
+        release();
+        release();
+        await third;
+        expect(semaphore.available).toBe(0);
+        expect(semaphore.waiting).toHaveLength(0);
+    });
+
+    test('serves waiting callers in order', async () => {
+        const semaphore = new Semaphore(1);
+        const order = [];
+        const release = await semaphore.acquire();
+        const waiters = ['a', 'b', 'c'].map((name) => semaphore.acquire().then((done) => {
+            order.push(name);
+            done();
+        }));
+        release();
+        await Promise.all(waiters);
+        expect(order).toEqual(['a', 'b', 'c']);
+        expect(semaphore.available).toBe(1);
+    });
+
+    test('skips callers that gave up waiting', async () => {
+        const semaphore = new Semaphore(1);
+        const release = await semaphore.acquire();
+        const cancelled = semaphore.acquire();
+        const timedOut = semaphore.acquire();
+        const patient = semaphore.acquire();
+        cancelled.cancel();
+        await cancelled.get().catch(() => {});
+        await expect(timedOut.timeout(5, { settle: true })).rejects.toThrow('Request Timeout');
+        release();
+        await expect(patient.get()).resolves.toEqual(expect.any(Function));
+        expect(semaphore.waiting).toHaveLength(0);
+    });
+
+    test('use runs a function with a permit and releases it on failure', async () => {
+        const semaphore = new Semaphore(1);
+        await expect(semaphore.use(async () => 'result')).resolves.toBe('result');
+        await expect(semaphore.use(() => { throw new Error('failed'); })).rejects.toThrow('failed');
+        expect(semaphore.available).toBe(1);
+    });
+
+    test('tryAcquire only takes a free permit', () => {
+        const semaphore = new Semaphore(1);
+        const release = semaphore.tryAcquire();
+        expect(release).toEqual(expect.any(Function));
+        expect(semaphore.tryAcquire()).toBeNull();
+        release();
+        expect(semaphore.available).toBe(1);
+        expect(() => new Semaphore(0)).toThrow(RangeError);
+    });
+});
+
+describe('Mutex', () => {
+    test('lets one caller in at a time', async () => {
+        const mutex = new Mutex();
+        const events = [];
+        const task = (name) => mutex.use(async () => {
+            events.push(`${name} in`);
+            await new Promise((r) => setTimeout(r, 5));
+            events.push(`${name} out`);
+        });
+        const running = Promise.all([task('a'), task('b')]);
+        expect(mutex.isLocked()).toBe(true);
+        await running;
+        expect(events).toEqual(['a in', 'a out', 'b in', 'b out']);
+        expect(mutex.isLocked()).toBe(false);
+    });
+});
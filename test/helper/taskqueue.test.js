@@ -0,0 +1,126 @@
+import TaskQueue from '../../helper/taskqueue.js';
+import Pledge, { TimeoutError, CancelError } from '../../helper/pledge.js';
+
+const delay = (ms, value) => new Promise((resolve) => setTimeout(() => resolve(value), ms));
+
+describe('TaskQueue', () => {
+    test('runs tasks up to the concurrency limit and returns pledges', async () => {
+        const queue = new TaskQueue({ concurrency: 2 });
+        const tasks = [1, 2, 3].map((n) => queue.add(() => delay(10, n)));
+        expect(tasks[0]).toBeInstanceOf(Pledge);
+        expect(queue.running).toBe(2);
+        expect(queue.size).toBe(1);
+        await expect(Promise.all(tasks)).resolves.toEqual([1, 2, 3]);
+        expect(queue.running).toBe(0);
+    });
+
+    test('starts higher priorities first, in order within a priority', async () => {
+        const queue = new TaskQueue({ paused: true });
+        const order = [];
+        const task = (name) => () => { order.push(name); };
+        queue.add(task('low'), { priority: -1 });
+        queue.add(task('normal 1'));
+        queue.add(task('high'), { priority: 5 });
+        queue.add(task('normal 2'));
+        queue.resume();
+        await queue.onIdle();
+        expect(order).toEqual(['high', 'normal 1', 'normal 2', 'low']);
+    });
+
+    test('pause stops starting tasks until resume', async () => {
+        const queue = new TaskQueue({ concurrency: 1 });
+        const first = queue.add(() => delay(5, 'first'));
+        const second = queue.add(() => 'second');
+        queue.pause();
+        await first;
+        await delay(10);
+        expect(second.status).toBe('pending');
+        expect(queue.size).toBe(1);
+        queue.resume();
+        await expect(second).resolves.toBe('second');
+    });
+
+    test('onIdle waits for running and queued tasks', async () => {
+        const queue = new TaskQueue({ concurrency: 1 });
+        await expect(queue.onIdle()).resolves.toBeUndefined();
+        const done = [];
+        queue.add(() => delay(5).then(() => done.push(1)));
+        queue.add(() => delay(5).then(() => done.push(2)));
+        await queue.onIdle();
+        expect(done).toEqual([1, 2]);
+    });
+
+    test('times tasks out, aborting their signal and freeing the slot', async () => {
+        const queue = new TaskQueue({ concurrency: 1, timeout: 10 });
+        let signal;
+        const slow = queue.add((taskSignal) => {
+            signal = taskSignal;
+            return new Promise(() => {});
+        });
+        const next = queue.add(() => 'next', { timeout: undefined });
+        const error = await slow.catch(e => e);
+        expect(error).toBeInstanceOf(TimeoutError);
+        expect(signal.aborted).toBe(true);
+        await expect(next).resolves.toBe('next');
+    });
+
+    test('rejects with the error of a failing task and keeps going', async () => {
+        const queue = new TaskQueue();
+        const failing = queue.add(() => { throw new Error('task failed'); });
+        const after = queue.add(() => 'after');
+        await expect(failing).rejects.toThrow('task failed');
+        await expect(after).resolves.toBe('after');
+    });
+
+    test('cancelling removes a waiting task and aborts a running one', async () => {
+        const queue = new TaskQueue({ concurrency: 1 });
+        let signal;
+        const running = queue.add((taskSignal) => {
+            signal = taskSignal;
+            return new Promise(() => {});
+        });
+        const waiting = queue.add(jest.fn());
+        waiting.cancel();
+        await expect(waiting).rejects.toBeInstanceOf(CancelError);
+        expect(queue.size).toBe(0);
+
+        running.cancel();
+        await expect(running).rejects.toBeInstanceOf(CancelError);
+        expect(signal.aborted).toBe(true);
+        await queue.onIdle();
+        expect(queue.running).toBe(0);
+    });
+
+    test('clear cancels every task that has not started', async () => {
+        const queue = new TaskQueue({ concurrency: 1 });
+        const running = queue.add(() => delay(5, 'kept'));
+        const fn = jest.fn();
+        const cleared = [queue.add(fn), queue.add(fn)];
+        queue.clear();
+        await expect(Promise.allSettled(cleared)).resolves.toEqual([
+            { status: 'rejected', reason: new CancelError('Task cleared') },
+            { status: 'rejected', reason: new CancelError('Task cleared') },
+        ]);
+        await expect(running).resolves.toBe('kept');
+        expect(fn).not.toHaveBeenCalled();
+        expect(() => new TaskQueue({ concurrency: 0 })).toThrow(RangeError);
+    });
+
+    test('raises no unhandled rejection for tasks nobody waits for', async () => {
+        const unhandled = jest.fn();
+        process.on('unhandledRejection', unhandled);
+        try {
+            const queue = new TaskQueue({ concurrency: 1 });
+            queue.add(() => { throw new Error('failed'); });
+            queue.add(() => delay(50), { timeout: 5 });
+            const paused = new TaskQueue({ paused: true });
+            [1, 2, 3].forEach((ms) => paused.add(() => delay(ms)));
+            paused.clear();
+            await queue.onIdle();
+            await delay(10);
+        } finally {
+            process.off('unhandledRejection', unhandled);
+        }
+        expect(unhandled).not.toHaveBeenCalled();
+    });
+});
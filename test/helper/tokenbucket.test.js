@@ -0,0 +1,40 @@
+import TokenBucket from '../../helper/tokenbucket.js';
+
+describe('TokenBucket', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('allows a burst and then refuses', () => {
+        const bucket = new TokenBucket({ rate: 2, burst: 3 });
+        expect(bucket.take()).toBe(true);
+        expect(bucket.take()).toBe(true);
+        expect(bucket.take()).toBe(true);
+        expect(bucket.take()).toBe(false);
+    });
+
+    test('refills at the configured rate up to the burst size', () => {
+        const bucket = new TokenBucket({ rate: 2 });
+        bucket.take(2);
+        expect(bucket.take()).toBe(false);
+        jest.advanceTimersByTime(500);
+        expect(bucket.take()).toBe(true);
+        expect(bucket.take()).toBe(false);
+        jest.advanceTimersByTime(10000);
+        expect(bucket.take(2)).toBe(true);
+        expect(bucket.take()).toBe(false);
+    });
+
+    test('tells how long to wait for tokens', () => {
+        const bucket = new TokenBucket({ rate: 4, burst: 1 });
+        expect(bucket.retryAfter()).toBe(0);
+        bucket.take();
+        expect(bucket.retryAfter()).toBe(250);
+        jest.advanceTimersByTime(100);
+        expect(bucket.retryAfter()).toBe(150);
+    });
+});